@@ -0,0 +1,211 @@
+// Test service for the hub's streaming proxy: a WebSocket echo at /ws, a
+// Server-Sent Events ticker at /events and a slow chunked response at /chunked.
+// Plain Node, no dependencies, so it can be started anywhere with `node index.js`.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.PORT || 3003;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const PAGE = `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Echo</title>
+  <style>
+    body{font-family:Segoe UI,Arial,sans-serif;padding:24px;max-width:760px}
+    pre{background:#f1f5f9;padding:8px;border-radius:6px;min-height:60px;max-height:220px;overflow:auto}
+  </style>
+</head>
+<body>
+  <h2>Echo service</h2>
+  <p>Checks that WebSockets, Server-Sent Events and chunked responses pass through the hub unbuffered.</p>
+
+  <h3>WebSocket</h3>
+  <form id="wsForm"><input id="wsInput" value="hello"> <button>Send</button> <span id="wsState">connecting…</span></form>
+  <pre id="wsLog"></pre>
+
+  <h3>Server-Sent Events</h3>
+  <pre id="sseLog"></pre>
+
+  <h3>Chunked response</h3>
+  <button id="chunkedStart">Start</button>
+  <pre id="chunkedLog"></pre>
+
+  <script>
+    // Relative URLs keep the service's hub prefix (/echo/ws, /echo/events).
+    function log(id, text) {
+      const pre = document.getElementById(id);
+      pre.textContent += new Date().toLocaleTimeString() + '  ' + text + '\\n';
+      pre.scrollTop = pre.scrollHeight;
+    }
+
+    const wsUrl = new URL('ws', location.href);
+    wsUrl.protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(wsUrl);
+    socket.addEventListener('open', () => { document.getElementById('wsState').textContent = 'open'; });
+    socket.addEventListener('close', (event) => { document.getElementById('wsState').textContent = 'closed (' + event.code + ')'; });
+    socket.addEventListener('message', (event) => log('wsLog', '← ' + event.data));
+    document.getElementById('wsForm').addEventListener('submit', (event) => {
+      event.preventDefault();
+      const text = document.getElementById('wsInput').value;
+      log('wsLog', '→ ' + text);
+      socket.send(text);
+    });
+
+    const events = new EventSource('events');
+    events.addEventListener('tick', (event) => log('sseLog', event.data));
+    events.addEventListener('error', () => log('sseLog', 'reconnecting…'));
+
+    document.getElementById('chunkedStart').addEventListener('click', async () => {
+      const response = await fetch('chunked');
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        log('chunkedLog', decoder.decode(value, { stream: true }).trim());
+      }
+      log('chunkedLog', 'done');
+    });
+  </script>
+</body>
+</html>`;
+
+// Minimal RFC 6455 server side: every data frame is sent straight back with
+// the same FIN bit and opcode, unmasked. Pings are answered, close is echoed.
+function encodeFrame(firstByte, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([firstByte, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = firstByte;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = firstByte;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Returns { firstByte, opcode, payload, length } for the first complete frame
+// in the buffer, or null when more bytes are needed.
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i += 1) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { firstByte: buffer[0], opcode: buffer[0] & 0x0f, payload, length: offset + length };
+}
+
+function handleWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.url !== '/ws' || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  console.log(`[echo] WebSocket opened (request ${req.headers['x-request-id'] || '-'})`);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    let frame;
+    while ((frame = decodeFrame(pending))) {
+      pending = pending.subarray(frame.length);
+      if (frame.opcode === 0x8) {
+        socket.end(encodeFrame(0x88, frame.payload.subarray(0, 2)));
+        return;
+      }
+      if (frame.opcode === 0x9) {
+        socket.write(encodeFrame(0x8a, frame.payload));
+      } else if (frame.opcode !== 0xa) {
+        socket.write(encodeFrame(frame.firstByte, frame.payload));
+      }
+    }
+  });
+  // upgraded sockets are half-open: close our side once the peer is gone
+  socket.on('end', () => socket.end());
+  socket.on('close', () => console.log('[echo] WebSocket closed'));
+  socket.on('error', () => socket.destroy());
+}
+
+function sendEvents(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  let count = 0;
+  const tick = () => {
+    count += 1;
+    res.write(`event: tick\ndata: ${JSON.stringify({ count, now: new Date().toISOString() })}\n\n`);
+  };
+  tick();
+  const timer = setInterval(tick, 1000);
+  req.on('close', () => {
+    clearInterval(timer);
+    console.log(`[echo] Event stream closed after ${count} events`);
+  });
+}
+
+function sendChunked(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+  let count = 0;
+  const timer = setInterval(() => {
+    count += 1;
+    res.write(`chunk ${count} of 5\n`);
+    if (count === 5) {
+      clearInterval(timer);
+      res.end();
+    }
+  }, 500);
+  req.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  const pathname = req.url.split('?')[0];
+  if (pathname === '/health') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'ok', service: 'echo', uptime: process.uptime(), now: new Date().toISOString() }));
+  } else if (pathname === '/events') {
+    sendEvents(req, res);
+  } else if (pathname === '/chunked') {
+    sendChunked(req, res);
+  } else if (pathname === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(PAGE);
+  } else {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }
+});
+
+server.on('upgrade', handleWebSocket);
+server.listen(PORT, () => console.log(`Echo on ${PORT}`));
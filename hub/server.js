@@ -1,26 +1,51 @@
 const express = require('express');
 const path = require('path');
+const http = require('http');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 // Node 18+ includes a global fetch; avoid requiring node-fetch (ESM) to keep CommonJS simple
 
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const fs = require('fs');
+const { EventEmitter } = require('events');
 const multer = require('multer');
 const bcrypt = require('bcryptjs');
+const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const dns = require('dns');
+const AdmZip = require('adm-zip');
+const QRCode = require('qrcode');
+const { imageSize } = require('image-size');
+const sharp = require('sharp');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+// false when the tests load this file: no listening socket and no background jobs
+const RUN_AS_SERVER = require.main === module;
 app.use(cookieParser());
-app.use(session({ secret: process.env.SESSION_SECRET || 'changeme', resave: false, saveUninitialized: false }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-const SERVICES_FILE = path.join(__dirname, 'services.json');
-const CONFIG_FILE = path.join(__dirname, 'config.json');
-const ADMIN_STORE_FILE = path.join(__dirname, 'admin.json');
+// services.json, config.json and admin.json; the tests point this elsewhere.
+const CONFIG_DIR = process.env.HUB_CONFIG_DIR || __dirname;
+const SERVICES_FILE = path.join(CONFIG_DIR, 'services.json');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const ADMIN_STORE_FILE = path.join(CONFIG_DIR, 'admin.json');
 const UPLOAD_DIR = path.join(__dirname, 'static', 'uploads');
+const DATA_DIR = process.env.HUB_DATA_DIR || path.join(__dirname, 'data');
+const HEALTH_HISTORY_FILE = path.join(DATA_DIR, 'health-history.jsonl');
+const NOTIFICATIONS_FILE = path.join(DATA_DIR, 'notifications.json');
+const IDENTITY_SECRET_FILE = path.join(DATA_DIR, 'identity-secret');
+const API_TOKENS_FILE = path.join(DATA_DIR, 'api-tokens.json');
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const REVISIONS_DIR = path.join(DATA_DIR, 'revisions');
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const SESSION_SECRET_FILE = path.join(DATA_DIR, 'session-secret');
+const ACCESS_LOG_FILE = path.join(DATA_DIR, 'access.log');
+const IMAGE_MANIFEST_FILE = path.join(DATA_DIR, 'images.json');
+const THEME_DRAFT_FILE = path.join(DATA_DIR, 'theme-draft.json');
+const UPLOAD_VARIANTS_DIR = path.join(UPLOAD_DIR, 'variants');
 const DEFAULT_CONFIG = {
   siteLogo: '/static/logo1.svg',
   siteTitle: 'Linart Systems',
@@ -38,10 +63,336 @@ const DEFAULT_CONFIG = {
   pageBackgroundOpacity: 1,
   welcomeImage: '',
   socialLinks: [],
+  defaultLocale: 'en',
+  translations: {},
+  themes: [],
 };
-const DEFAULT_ADMIN_PASSWORD = process.env.HUB_ADMIN_PASSWORD || 'admin';
+// The colour settings a theme preset or the theme draft is made of.
+const THEME_FIELDS = [
+  'pageBackgroundColor',
+  'pageBackgroundOpacity',
+  'surfaceColor',
+  'surfaceOpacity',
+  'heroOverlayColor',
+  'heroOverlayOpacity',
+];
+// Languages the landing page can be shown in. The plain text fields in config.json
+// and services.json are written in config.defaultLocale; the other languages are
+// kept in a `translations` object next to them ({ de: { siteTitle: '...' } }) and
+// fall back to the plain field when a translation is missing.
+const SUPPORTED_LOCALES = ['en', 'de', 'ru'];
+const TRANSLATABLE_CONFIG_FIELDS = ['siteTitle', 'brandTagline', 'introTitle', 'introBody'];
+const TRANSLATABLE_SERVICE_FIELDS = ['displayName', 'description'];
+const TRANSLATABLE_LINK_FIELDS = ['label'];
+const MAX_TRANSLATION_LENGTH = 2000;
+// Anyone signing in with the built-in fallback must pick a new password first.
+const FALLBACK_ADMIN_PASSWORD = 'admin';
+const DEFAULT_ADMIN_PASSWORD = process.env.HUB_ADMIN_PASSWORD || FALLBACK_ADMIN_PASSWORD;
+// Seconds between background health checks when a service does not set healthInterval.
+const DEFAULT_HEALTH_INTERVAL = 30;
+const HEALTH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const HEALTH_SPARKLINE_POINTS = 60;
+const SERVICE_ACCESS_MODES = ['public', 'login', 'role'];
+// Root-relative paths a service's pages call without its prefix (fetch('/suggest')).
+// Entries written before `fallbackPaths` existed keep the list that used to be
+// hard-coded for every service.
+const LEGACY_FALLBACK_PATHS = ['/submit', '/suggest', '/api/suggest', '/upload', '/files'];
+const HUB_RESERVED_PATHS = ['/admin', '/api/status', '/static', '/status', '/metrics'];
+// A service prefix is routed before any of the hub's own pages, so it may not
+// cover them, nor anything under /api.
+const HUB_RESERVED_PREFIXES = [...HUB_RESERVED_PATHS, '/api'];
+const MAX_FALLBACK_PATHS = 20;
+// A service may run on several upstreams (`targets`). 'failover' sends everything
+// to the first target that is up and uses the others as backups; 'round-robin'
+// spreads requests over all targets that are up.
+const LOAD_BALANCING_STRATEGIES = ['failover', 'round-robin'];
+const MAX_SERVICE_TARGETS = 10;
+const HEALTH_METHODS = ['GET', 'HEAD', 'POST'];
+const DEFAULT_HEALTH_PATH = '/health';
+const DEFAULT_HEALTH_TIMEOUT_MS = 2000;
+const DEFAULT_HEALTH_EXPECTED_STATUS = '200-299';
+// Optional JSON a service may publish ({ displayName, description, logo, version });
+// the connection test reads it to prefill the service card.
+const SERVICE_MANIFEST_PATH = '/manifest.json';
+// Lifetime of the X-Hub-Identity token forwarded to protected services, in seconds.
+const IDENTITY_TOKEN_TTL = 60;
+// Upstream calls that do not answer within this time end with a 504. Only the
+// wait for response headers counts, so long-lived streams are not cut off.
+const PROXY_TIMEOUT_MS = (Number(process.env.HUB_PROXY_TIMEOUT_SECONDS) || 60) * 1000;
+// Streamed responses and WebSockets that carry no data for this long are closed;
+// 0 leaves them open for as long as both ends do. Services may set their own
+// `proxyIdleTimeout` in seconds.
+const PROXY_IDLE_TIMEOUT_SECONDS = Math.max(0, Math.round(Number(process.env.HUB_PROXY_IDLE_TIMEOUT_SECONDS) || 0));
+const MAX_PROXY_IDLE_TIMEOUT_SECONDS = 24 * 60 * 60;
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.HUB_CIRCUIT_FAILURES) || 5;
+const CIRCUIT_COOLDOWN_MS = (Number(process.env.HUB_CIRCUIT_COOLDOWN_SECONDS) || 30) * 1000;
+// Only failures of the hub's own call (refused connection, reset, timeout) count
+// towards the breaker. A service that answers 503 itself is reachable, and its
+// callers should see that answer; list statuses here to count them as well,
+// e.g. "502,504" for a service that sits behind its own reverse proxy.
+const UPSTREAM_FAILURE_STATUSES = new Set(String(process.env.HUB_CIRCUIT_FAILURE_STATUSES || '')
+  .split(',')
+  .map((item) => Number(item.trim()))
+  .filter((status) => Number.isInteger(status) && status >= 100 && status <= 599));
+// Idle lifetime of an admin session; every request pushes the expiry forward.
+const SESSION_MAX_AGE_MS = (Number(process.env.HUB_SESSION_MAX_AGE_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+// Last-seen time and IP of a session are refreshed at most this often.
+const SESSION_SEEN_INTERVAL_MS = 60 * 1000;
+const ACCESS_LOG_MAX_BYTES = (Number(process.env.HUB_ACCESS_LOG_MAX_MB) || 10) * 1024 * 1024;
+const ACCESS_LOG_KEEP_FILES = Number(process.env.HUB_ACCESS_LOG_FILES) || 5;
+// A search stops after reading this much of the log, newest entries first.
+const ACCESS_LOG_SEARCH_MAX_BYTES = (Number(process.env.HUB_ACCESS_LOG_SEARCH_MB) || 20) * 1024 * 1024;
+// IDs set by a client or a proxy in front of the hub are kept when they look sane.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
 
 fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+fs.mkdirSync(DATA_DIR, { recursive: true });
+fs.mkdirSync(REVISIONS_DIR, { recursive: true });
+
+// Behind Traefik the client address and scheme arrive in X-Forwarded-* headers;
+// trusting them for private networks gives the login throttle real client IPs
+// and lets cookie.secure follow the original HTTPS request.
+app.set('trust proxy', process.env.HUB_TRUST_PROXY || 'loopback, linklocal, uniquelocal');
+
+// Access log: one JSON line per request in data/access.log. When the file grows
+// past ACCESS_LOG_MAX_BYTES it becomes access.log.1, older files shift up by one
+// and anything beyond ACCESS_LOG_KEEP_FILES is dropped.
+let accessLogStream = null;
+let accessLogSize = 0;
+
+function openAccessLog() {
+  try {
+    accessLogSize = fs.statSync(ACCESS_LOG_FILE).size;
+  } catch (err) {
+    accessLogSize = 0;
+  }
+  accessLogStream = fs.createWriteStream(ACCESS_LOG_FILE, { flags: 'a' });
+  accessLogStream.on('error', (err) => console.warn('[hub] Failed to write access log', err.message));
+}
+
+function rotateAccessLog() {
+  accessLogStream.end();
+  try {
+    fs.rmSync(`${ACCESS_LOG_FILE}.${ACCESS_LOG_KEEP_FILES}`, { force: true });
+    for (let index = ACCESS_LOG_KEEP_FILES - 1; index >= 1; index -= 1) {
+      const from = `${ACCESS_LOG_FILE}.${index}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${ACCESS_LOG_FILE}.${index + 1}`);
+    }
+    // writes still queued on the old stream land in the renamed file
+    fs.renameSync(ACCESS_LOG_FILE, `${ACCESS_LOG_FILE}.1`);
+  } catch (err) {
+    console.warn('[hub] Failed to rotate access log', err.message);
+  }
+  openAccessLog();
+}
+
+function writeAccessLog(entry) {
+  const line = JSON.stringify(entry) + '\n';
+  if (accessLogSize > 0 && accessLogSize + line.length > ACCESS_LOG_MAX_BYTES) rotateAccessLog();
+  accessLogSize += Buffer.byteLength(line);
+  accessLogStream.write(line);
+}
+
+// Query strings carry secrets (API ?token=, draft ?preview= links, the admin
+// ?next= redirect that wraps them), so only the parameter names are logged.
+function accessLogPath(url) {
+  const index = url.indexOf('?');
+  if (index === -1) return url.slice(0, 2000);
+  const names = url.slice(index + 1).split('&').filter(Boolean).map((pair) => pair.split('=')[0].slice(0, 100));
+  return `${url.slice(0, Math.min(index, 2000))}?${names.map((name) => `${name}=*`).join('&')}`.slice(0, 2000);
+}
+
+function describeRequestUser(req) {
+  if (req.apiToken) return `token:${req.apiToken.name}`;
+  if (req.adminUser) return req.adminUser.username;
+  if (req.session && req.session.authenticated) return req.session.username || null;
+  return null;
+}
+
+openAccessLog();
+
+// A valid X-Request-Id from upstream (Traefik, a calling service) is kept so
+// one ID follows the request across hops.
+function readRequestId(req) {
+  const incoming = req.headers['x-request-id'];
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+app.use((req, res, next) => {
+  req.requestId = readRequestId(req);
+  res.set('X-Request-Id', req.requestId);
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    writeAccessLog({
+      t: new Date().toISOString(),
+      id: req.requestId,
+      method: req.method,
+      path: accessLogPath(req.originalUrl),
+      // 499: the client went away before the response started
+      status: res.headersSent ? res.statusCode : 499,
+      ms: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      service: req.hubService || null,
+      target: req.hubTarget || null,
+      ip: req.ip,
+      user: describeRequestUser(req),
+      bytesIn: Number(req.get('content-length')) || 0,
+      bytesOut: req.hubUpstreamBytes !== undefined ? req.hubUpstreamBytes : Number(res.getHeader('content-length')) || 0,
+      ua: String(req.get('user-agent') || '').slice(0, 300),
+    });
+  });
+  next();
+});
+
+// Sessions live in data/sessions/<handle>.json so a restart does not sign
+// everybody out. The handle is a hash of the session id: the cookie value never
+// touches the disk, and the handle doubles as the id used to revoke a session.
+class FileSessionStore extends session.Store {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+    this.expiries = new Map(); // handle -> expiresAt last written
+    // handle -> removedAt. A request that loaded a session before it was revoked
+    // saves it again when it ends; writes to these handles are dropped instead.
+    this.removed = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  static handle(sid) {
+    return crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 32);
+  }
+
+  file(handle) {
+    return path.join(this.dir, `${handle}.json`);
+  }
+
+  read(handle) {
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(this.file(handle), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+    if (!record || !record.session || !(record.expiresAt > Date.now())) {
+      this.remove(handle);
+      return null;
+    }
+    return { handle, ...record };
+  }
+
+  write(handle, sess) {
+    if (this.removed.has(handle)) return;
+    const expiresAt = sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : Date.now() + SESSION_MAX_AGE_MS;
+    const tmp = `${this.file(handle)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ expiresAt, session: sess }), { mode: 0o600 });
+    fs.renameSync(tmp, this.file(handle));
+    this.expiries.set(handle, expiresAt);
+  }
+
+  remove(handle) {
+    this.expiries.delete(handle);
+    this.removed.set(handle, Date.now());
+    try {
+      fs.unlinkSync(this.file(handle));
+    } catch (err) {
+      // already gone
+    }
+  }
+
+  get(sid, callback) {
+    const record = this.read(FileSessionStore.handle(sid));
+    callback(null, record ? record.session : null);
+  }
+
+  set(sid, sess, callback) {
+    try {
+      this.write(FileSessionStore.handle(sid), sess);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  // Called on every response; only rewrite the file once the expiry moved noticeably.
+  touch(sid, sess, callback) {
+    const handle = FileSessionStore.handle(sid);
+    if (!fs.existsSync(this.file(handle))) return callback(null);
+    const expiresAt = sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : 0;
+    if (Math.abs(expiresAt - (this.expiries.get(handle) || 0)) < SESSION_SEEN_INTERVAL_MS) return callback(null);
+    return this.set(sid, sess, callback);
+  }
+
+  destroy(sid, callback) {
+    this.remove(FileSessionStore.handle(sid));
+    if (callback) callback(null);
+  }
+
+  list() {
+    let names = [];
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch (err) {
+      return [];
+    }
+    return names
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => this.read(name.slice(0, -'.json'.length)))
+      .filter(Boolean);
+  }
+
+  // Reading every file drops the expired ones. A removed handle can no longer
+  // come back once every request that could have loaded it has long finished.
+  prune() {
+    this.list();
+    const cutoff = Date.now() - SESSION_MAX_AGE_MS;
+    this.removed.forEach((removedAt, handle) => {
+      if (removedAt < cutoff) this.removed.delete(handle);
+    });
+  }
+}
+
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  try {
+    const stored = fs.readFileSync(SESSION_SECRET_FILE, 'utf8').trim();
+    if (stored) return stored;
+  } catch (err) {
+    // generate below
+  }
+  const generated = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(SESSION_SECRET_FILE, generated, { mode: 0o600 });
+  console.warn(`[hub] SESSION_SECRET is not set; generated one in ${SESSION_SECRET_FILE}`);
+  return generated;
+}
+
+const SESSION_COOKIE = 'hub.sid';
+const sessionStore = new FileSessionStore(SESSIONS_DIR);
+// Kept in a variable because WebSocket upgrades bypass Express and read the
+// session through it directly.
+const sessionMiddleware = session({
+  name: SESSION_COOKIE,
+  secret: loadSessionSecret(),
+  store: sessionStore,
+  resave: false,
+  saveUninitialized: false,
+  rolling: true,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    // 'auto' marks the cookie Secure whenever the request came in over HTTPS
+    secure: process.env.HUB_COOKIE_SECURE === 'true' ? true : 'auto',
+    maxAge: SESSION_MAX_AGE_MS,
+  },
+});
+app.use(sessionMiddleware);
+app.use((req, res, next) => {
+  if (req.session && req.session.authenticated && Date.now() - (req.session.lastSeenAt || 0) > SESSION_SEEN_INTERVAL_MS) {
+    req.session.lastSeenAt = Date.now();
+    req.session.ip = req.ip;
+  }
+  next();
+});
+setInterval(() => sessionStore.prune(), SESSION_CLEANUP_INTERVAL_MS).unref();
 
 const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
 
@@ -53,6 +404,10 @@ function clamp(value, min, max) {
   return number;
 }
 
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function normalizeSocialLink(link) {
   if (!link || typeof link !== 'object') return null;
   const label = typeof link.label === 'string' ? link.label.trim() : '';
@@ -61,7 +416,77 @@ function normalizeSocialLink(link) {
   const icon = typeof link.icon === 'string' ? link.icon.trim() : '';
   const idRaw = typeof link.id === 'string' ? link.id.trim() : '';
   const id = idRaw || crypto.randomUUID();
-  return { id, label, url, icon };
+  return { id, label, url, icon, translations: normalizeTranslations(link.translations, TRANSLATABLE_LINK_FIELDS) };
+}
+
+// Keeps only supported locales and non-empty strings for the given fields.
+function normalizeTranslations(input, fields) {
+  const result = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return result;
+  SUPPORTED_LOCALES.forEach((locale) => {
+    const entry = input[locale];
+    if (!entry || typeof entry !== 'object') return;
+    const values = {};
+    fields.forEach((field) => {
+      const value = typeof entry[field] === 'string' ? entry[field].trim().slice(0, MAX_TRANSLATION_LENGTH) : '';
+      if (value) values[field] = value;
+    });
+    if (Object.keys(values).length) result[locale] = values;
+  });
+  return result;
+}
+
+// Picks the given fields of a config, service or social link in one language.
+// The default language always reads the plain fields.
+function localizeFields(entity, fields, locale, defaultLocale) {
+  const translated = locale !== defaultLocale && entity.translations ? entity.translations[locale] : null;
+  const localized = {};
+  fields.forEach((field) => {
+    localized[field] = (translated && translated[field]) || entity[field];
+  });
+  return localized;
+}
+
+// Reads the theme fields from input; missing ones come from fallback. Returns
+// null when a field is present but invalid.
+function readThemeValues(input, fallback) {
+  const source = input && typeof input === 'object' ? input : {};
+  const values = {};
+  for (const field of THEME_FIELDS) {
+    const value = source[field];
+    if (value === undefined) {
+      values[field] = fallback[field];
+    } else if (field.endsWith('Color')) {
+      if (typeof value !== 'string' || !HEX_COLOR_PATTERN.test(value.trim())) return null;
+      values[field] = value.trim();
+    } else {
+      const number = Number(value);
+      if (value === null || value === '' || !Number.isFinite(number)) return null;
+      values[field] = clamp(number, 0, 1);
+    }
+  }
+  return values;
+}
+
+function normalizeTheme(theme) {
+  if (!theme || typeof theme !== 'object') return null;
+  const name = typeof theme.name === 'string' ? theme.name.trim().slice(0, 60) : '';
+  if (!name) return null;
+  const id = typeof theme.id === 'string' && theme.id.trim() ? theme.id.trim() : crypto.randomUUID();
+  const values = readThemeValues(theme.values, DEFAULT_CONFIG) || readThemeValues({}, DEFAULT_CONFIG);
+  return { id, name, values };
+}
+
+// ?lang= wins, then the browser's Accept-Language, then the configured default.
+function resolveLocale(req, config) {
+  const requested = typeof req.query.lang === 'string' ? req.query.lang.trim().toLowerCase() : '';
+  if (SUPPORTED_LOCALES.includes(requested)) return requested;
+  if (req.headers['accept-language']) {
+    const candidates = [config.defaultLocale, ...SUPPORTED_LOCALES.filter((locale) => locale !== config.defaultLocale)];
+    const accepted = req.acceptsLanguages(candidates);
+    if (accepted) return accepted;
+  }
+  return config.defaultLocale;
 }
 
 function sanitizeConfig(input) {
@@ -117,33 +542,332 @@ function sanitizeConfig(input) {
         .map(normalizeSocialLink)
         .filter(Boolean)
     : [];
+  merged.defaultLocale = SUPPORTED_LOCALES.includes(merged.defaultLocale) ? merged.defaultLocale : DEFAULT_CONFIG.defaultLocale;
+  merged.translations = normalizeTranslations(merged.translations, TRANSLATABLE_CONFIG_FIELDS);
+  merged.themes = Array.isArray(merged.themes) ? merged.themes.map(normalizeTheme).filter(Boolean) : [];
 
   return merged;
 }
 
+// "200-299, 301" -> [[200, 299], [301, 301]]; null when the list is malformed.
+function parseExpectedStatus(value) {
+  const text = Array.isArray(value) ? value.join(',') : String(value === undefined || value === null ? '' : value);
+  const ranges = [];
+  for (const part of text.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const match = /^(\d{3})(?:\s*-\s*(\d{3}))?$/.exec(part);
+    if (!match) return null;
+    const from = Number(match[1]);
+    const to = Number(match[2] || match[1]);
+    if (from < 100 || to > 599 || from > to) return null;
+    ranges.push([from, to]);
+  }
+  return ranges.length ? ranges : null;
+}
+
+function formatExpectedStatus(ranges) {
+  return ranges.map(([from, to]) => (from === to ? String(from) : `${from}-${to}`)).join(', ');
+}
+
+// Health assertions are `path op value` comparisons joined with &&, checked
+// against the JSON body, e.g. `status == 'ok' && checks.db.up == true`. A bare
+// path only has to be truthy. Returns the parsed clauses, or null if invalid.
+const HEALTH_ASSERT_CLAUSE = /^([A-Za-z_$][\w$-]*(?:\.[A-Za-z_$][\w$-]*|\[\d+\])*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+))?$/;
+
+const HEALTH_ASSERT_OPERATORS = {
+  truthy: (actual) => Boolean(actual),
+  '==': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected,
+  '>': (actual, expected) => typeof actual === 'number' && actual > expected,
+  '>=': (actual, expected) => typeof actual === 'number' && actual >= expected,
+  '<': (actual, expected) => typeof actual === 'number' && actual < expected,
+  '<=': (actual, expected) => typeof actual === 'number' && actual <= expected,
+};
+
+function parseAssertionLiteral(text) {
+  const value = text.trim();
+  const quoted = /^(['"])(.*)\1$/.exec(value);
+  if (quoted) return { ok: true, value: quoted[2] };
+  if (value === 'true' || value === 'false') return { ok: true, value: value === 'true' };
+  if (value === 'null') return { ok: true, value: null };
+  if (value !== '' && Number.isFinite(Number(value))) return { ok: true, value: Number(value) };
+  return { ok: false };
+}
+
+function parseHealthAssertion(text) {
+  const source = typeof text === 'string' ? text.trim() : '';
+  if (!source) return [];
+  const clauses = [];
+  for (const part of source.split('&&')) {
+    const match = HEALTH_ASSERT_CLAUSE.exec(part.trim());
+    if (!match) return null;
+    const path = match[1].match(/[^.[\]]+/g);
+    if (!match[2]) {
+      clauses.push({ source: part.trim(), path, op: 'truthy' });
+      continue;
+    }
+    const literal = parseAssertionLiteral(match[3]);
+    if (!literal.ok) return null;
+    clauses.push({ source: part.trim(), path, op: match[2], value: literal.value });
+  }
+  return clauses;
+}
+
+// Returns a description of the first failing clause, or null when all hold.
+function evaluateHealthAssertion(clauses, body) {
+  for (const clause of clauses) {
+    const actual = clause.path.reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), body);
+    const passed = HEALTH_ASSERT_OPERATORS[clause.op](actual, clause.value);
+    if (!passed) return `${clause.source} (got ${actual === undefined ? 'nothing' : JSON.stringify(actual)})`;
+  }
+  return null;
+}
+
+// The path a service is published under: its `prefix`, or "/<name>" without one.
+function servicePrefix(service) {
+  const prefix = service.prefix ? String(service.prefix).trim() : `/${String(service.name || '').trim()}`;
+  return prefix && !prefix.startsWith('/') ? `/${prefix}` : prefix;
+}
+
+// True when a path and one of `paths` contain one another. Express matches
+// routes regardless of case and trailing slashes, so this does too.
+function overlapsPaths(pathname, paths) {
+  const candidate = pathname.replace(/\/+$/, '').toLowerCase();
+  return paths.some((other) => candidate === other || candidate.startsWith(`${other}/`) || other.startsWith(`${candidate}/`));
+}
+
+function isReservedServicePrefix(prefix) {
+  return overlapsPaths(prefix, HUB_RESERVED_PREFIXES);
+}
+
 function normalizeService(service) {
   if (!service || typeof service !== 'object') return null;
   const name = service.name ? String(service.name).trim() : '';
   if (!name) return null;
-  const target = service.target ? String(service.target).trim() : '';
-  let prefix = service.prefix ? String(service.prefix).trim() : `/${name}`;
-  if (prefix && !prefix.startsWith('/')) {
-    prefix = `/${prefix}`;
-  }
+  const targets = normalizeTargets(
+    Array.isArray(service.targets) && service.targets.length ? service.targets : [service.target]
+  );
+  const prefix = servicePrefix(service);
+  if (isReservedServicePrefix(prefix)) return null;
   const displayName = service.displayName ? String(service.displayName).trim() : name;
   const description = service.description ? String(service.description).trim() : '';
   const logo = service.logo ? String(service.logo).trim() : null;
+  const healthInterval = Math.round(
+    clamp(service.healthInterval === undefined ? DEFAULT_HEALTH_INTERVAL : service.healthInterval, 5, 3600)
+  );
+  const healthPath = (typeof service.healthPath === 'string' && service.healthPath.trim() && normalizeTargetPath(service.healthPath)) ||
+    DEFAULT_HEALTH_PATH;
+  const healthMethod = HEALTH_METHODS.includes(String(service.healthMethod || '').toUpperCase())
+    ? String(service.healthMethod).toUpperCase()
+    : 'GET';
+  const healthTimeoutMs = Math.round(
+    clamp(service.healthTimeoutMs === undefined ? DEFAULT_HEALTH_TIMEOUT_MS : service.healthTimeoutMs, 100, 60000)
+  );
+  const expectedRanges = parseExpectedStatus(service.healthExpectedStatus);
+  const healthExpectedStatus = expectedRanges ? formatExpectedStatus(expectedRanges) : DEFAULT_HEALTH_EXPECTED_STATUS;
+  const healthAssert = typeof service.healthAssert === 'string' && parseHealthAssertion(service.healthAssert)
+    ? service.healthAssert.trim()
+    : '';
+  const maintenanceUntil = typeof service.maintenanceUntil === 'string' ? service.maintenanceUntil.trim() : '';
+  const access = SERVICE_ACCESS_MODES.includes(service.access) ? service.access : 'public';
+  let accessRoles = Array.isArray(service.accessRoles)
+    ? service.accessRoles.filter((role) => ADMIN_ROLES.includes(role))
+    : [];
+  if (access !== 'role') {
+    accessRoles = [];
+  } else if (!accessRoles.length) {
+    accessRoles = ['owner'];
+  }
 
   return {
     name,
-    target,
+    // the first target, kept for everything that only needs one address
+    target: targets[0] || '',
+    targets,
+    loadBalancing: LOAD_BALANCING_STRATEGIES.includes(service.loadBalancing) ? service.loadBalancing : 'failover',
     prefix,
     displayName,
     description,
     logo,
+    healthInterval,
+    healthPath,
+    healthMethod,
+    healthTimeoutMs,
+    healthExpectedStatus,
+    healthAssert,
+    healthDisabled: service.healthDisabled === true,
+    maintenance: service.maintenance === true,
+    maintenanceMessage: typeof service.maintenanceMessage === 'string' ? service.maintenanceMessage.trim().slice(0, 1000) : '',
+    maintenanceUntil: maintenanceUntil && Number.isFinite(Date.parse(maintenanceUntil)) ? new Date(maintenanceUntil).toISOString() : null,
+    access,
+    accessRoles,
+    fallbackPaths: service.fallbackPaths === undefined ? [...LEGACY_FALLBACK_PATHS] : parseFallbackPaths(service.fallbackPaths) || [],
+    websocket: service.websocket === true,
+    proxyIdleTimeout: parseIdleTimeout(service.proxyIdleTimeout),
+    translations: normalizeTranslations(service.translations, TRANSLATABLE_SERVICE_FIELDS),
   };
 }
 
+function normalizeTargets(list) {
+  const targets = [];
+  list.forEach((item) => {
+    const target = typeof item === 'string' ? item.trim() : '';
+    if (target && !targets.includes(target)) targets.push(target);
+  });
+  return targets.slice(0, MAX_SERVICE_TARGETS);
+}
+
+function isProxyTarget(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+// `targets` replaces the whole list (an array, or one URL per line); a plain
+// `target` only swaps the first entry, as it did when there was just one.
+function applyTargets(payload, body) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  if (has('targets')) {
+    const items = Array.isArray(body.targets) ? body.targets : String(body.targets || '').split(/[\s,]+/);
+    if (items.some((item) => typeof item !== 'string')) return 'invalid_targets';
+    const targets = normalizeTargets(items);
+    const requested = new Set(items.map((item) => item.trim()).filter(Boolean)).size;
+    if (!targets.length || requested > MAX_SERVICE_TARGETS || !targets.every(isProxyTarget)) return 'invalid_targets';
+    payload.targets = targets;
+    payload.target = targets[0];
+  } else if (has('target') && typeof body.target === 'string') {
+    const target = body.target.trim();
+    if (!isProxyTarget(target)) return 'invalid_target';
+    payload.targets = normalizeTargets([target, ...(payload.targets || []).slice(1)]);
+    payload.target = target;
+  }
+  if (has('loadBalancing')) {
+    if (!LOAD_BALANCING_STRATEGIES.includes(body.loadBalancing)) return 'invalid_load_balancing';
+    payload.loadBalancing = body.loadBalancing;
+  }
+  return null;
+}
+
+// "/submit, /suggest" or an array -> ['/submit', '/suggest']; null when an entry
+// is not a plain path or belongs to the hub itself.
+function parseFallbackPaths(value) {
+  const items = Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(',');
+  const paths = [];
+  for (const item of items) {
+    if (typeof item !== 'string') return null;
+    const trimmed = item.trim().replace(/\/+$/, '');
+    if (!trimmed) continue;
+    if (!/^\/[A-Za-z0-9._~\-/]+$/.test(trimmed) || trimmed.split('/').slice(1).some((part) => !part || part === '..' || part === '.')) return null;
+    if (overlapsPaths(trimmed, HUB_RESERVED_PATHS)) return null;
+    if (!paths.includes(trimmed)) paths.push(trimmed);
+  }
+  return paths.length <= MAX_FALLBACK_PATHS ? paths : null;
+}
+
+function applyFallbackPaths(payload, body) {
+  if (!Object.prototype.hasOwnProperty.call(body, 'fallbackPaths')) return null;
+  const paths = parseFallbackPaths(body.fallbackPaths);
+  if (!paths) return 'invalid_fallback_paths';
+  payload.fallbackPaths = paths;
+  return null;
+}
+
+// Seconds as a whole number, or null when the service uses the hub-wide default.
+function parseIdleTimeout(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_PROXY_IDLE_TIMEOUT_SECONDS) return null;
+  return seconds;
+}
+
+function proxyIdleTimeoutMs(service) {
+  return (service.proxyIdleTimeout === null ? PROXY_IDLE_TIMEOUT_SECONDS : service.proxyIdleTimeout) * 1000;
+}
+
+function applyProxySettings(payload, body) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  if (has('websocket')) {
+    payload.websocket = body.websocket === true || body.websocket === 'true';
+  }
+  if (has('proxyIdleTimeout')) {
+    const value = body.proxyIdleTimeout;
+    if (value !== null && value !== '' && parseIdleTimeout(value) === null) return 'invalid_idle_timeout';
+    payload.proxyIdleTimeout = parseIdleTimeout(value);
+  }
+  return null;
+}
+
+// Copies the maintenance switch, its message and the planned end time present in
+// a request body onto a service payload. Returns an error code when one is invalid.
+function applyMaintenanceSettings(payload, body) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  if (has('maintenance')) {
+    payload.maintenance = body.maintenance === true || body.maintenance === 'true';
+  }
+  if (has('maintenanceMessage')) {
+    if (typeof body.maintenanceMessage !== 'string') return 'invalid_maintenance_message';
+    payload.maintenanceMessage = body.maintenanceMessage;
+  }
+  if (has('maintenanceUntil')) {
+    const until = body.maintenanceUntil;
+    if (until === null || until === '') {
+      payload.maintenanceUntil = null;
+    } else if (typeof until === 'string' && Number.isFinite(Date.parse(until))) {
+      payload.maintenanceUntil = until;
+    } else {
+      return 'invalid_maintenance_until';
+    }
+  }
+  return null;
+}
+
+// "/health" or "health" -> "/health". Null for anything new URL() would resolve
+// against another host: "//host/x", "/\host/x" (a backslash counts as a slash),
+// "http://host/x", or whitespace it silently drops.
+function normalizeTargetPath(value) {
+  const trimmed = String(value).trim();
+  if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed) || /[\x00-\x20\x7f\\]/.test(trimmed)) return null;
+  const pathname = trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+  return pathname.startsWith('//') ? null : pathname;
+}
+
+// Copies the health check settings present in a request body onto a service
+// payload. Returns an error code when one of them is invalid.
+function applyHealthSettings(payload, body) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  if (has('healthPath')) {
+    if (typeof body.healthPath !== 'string' || (body.healthPath.trim() && !normalizeTargetPath(body.healthPath))) {
+      return 'invalid_health_path';
+    }
+    payload.healthPath = body.healthPath;
+  }
+  if (has('healthMethod')) {
+    const method = String(body.healthMethod || '').toUpperCase();
+    if (!HEALTH_METHODS.includes(method)) return 'invalid_health_method';
+    payload.healthMethod = method;
+  }
+  if (has('healthTimeoutMs') && body.healthTimeoutMs !== '') {
+    const timeout = Number(body.healthTimeoutMs);
+    if (!Number.isFinite(timeout)) return 'invalid_health_timeout';
+    payload.healthTimeoutMs = timeout;
+  }
+  if (has('healthExpectedStatus')) {
+    if (!parseExpectedStatus(body.healthExpectedStatus)) return 'invalid_expected_status';
+    payload.healthExpectedStatus = body.healthExpectedStatus;
+  }
+  if (has('healthAssert')) {
+    const assertion = typeof body.healthAssert === 'string' ? body.healthAssert : '';
+    if (!parseHealthAssertion(assertion)) return 'invalid_health_assert';
+    payload.healthAssert = assertion;
+  }
+  if (has('healthDisabled')) {
+    payload.healthDisabled = body.healthDisabled === true || body.healthDisabled === 'true';
+  }
+  return null;
+}
+
 function loadServices(){
   try{
     const raw = JSON.parse(fs.readFileSync(SERVICES_FILE, 'utf8'));
@@ -154,9 +878,13 @@ function loadServices(){
   }
 }
 
-function saveServices(list){
+function saveServices(list, author, revisionInfo){
   const normalized = list.map(normalizeService).filter(Boolean);
   fs.writeFileSync(SERVICES_FILE, JSON.stringify(normalized, null, 2));
+  recordRevision('services', normalized, author, revisionInfo);
+  reloadProxyRoutes(normalized);
+  scheduleHealthChecks(normalized);
+  statusEvents.emit('reload');
   return normalized;
 }
 
@@ -169,33 +897,286 @@ function loadConfig(){
   }
 }
 
-function saveConfig(next){
+function saveConfig(next, author, revisionInfo){
   const sanitized = sanitizeConfig(next);
   fs.writeFileSync(CONFIG_FILE, JSON.stringify(sanitized, null, 2));
+  recordRevision('config', sanitized, author, revisionInfo);
+  statusEvents.emit('reload');
   return sanitized;
 }
 
-function loadAdminCredentials() {
+// The theme draft is kept out of config.json until it is published, so editing
+// it never changes the live page. Its preview token lets anyone holding the
+// link see the landing page with the draft applied.
+function loadThemeDraft() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(THEME_DRAFT_FILE, 'utf8'));
+    const values = readThemeValues(raw.values, DEFAULT_CONFIG);
+    if (!values || typeof raw.previewToken !== 'string' || !raw.previewToken) return null;
+    return {
+      values,
+      previewToken: raw.previewToken,
+      updatedAt: typeof raw.updatedAt === 'string' ? raw.updatedAt : null,
+      updatedBy: raw.updatedBy && typeof raw.updatedBy === 'object' ? raw.updatedBy : null,
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveThemeDraft(draft) {
+  if (!draft) {
+    fs.rmSync(THEME_DRAFT_FILE, { force: true });
+    return null;
+  }
+  fs.writeFileSync(THEME_DRAFT_FILE, JSON.stringify(draft, null, 2));
+  return draft;
+}
+
+// Theme values /api/status should show: the draft for a matching preview token,
+// the live config otherwise.
+function previewThemeValues(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const draft = loadThemeDraft();
+  if (!draft) return null;
+  const expected = Buffer.from(draft.previewToken);
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? draft.values : null;
+}
+
+// Revision history: every save of config.json or services.json is appended to
+// data/revisions/<kind>.jsonl as { number, at, author, data }, so any earlier
+// state can be compared or restored.
+const REVISION_KINDS = ['config', 'services'];
+const revisionCounters = new Map(); // kind -> { number, data } of the newest revision
+
+function revisionFile(kind) {
+  return path.join(REVISIONS_DIR, `${kind}.jsonl`);
+}
+
+function loadRevisions(kind) {
+  let raw = '';
   try {
-    const data = JSON.parse(fs.readFileSync(ADMIN_STORE_FILE, 'utf8'));
-    if (data && data.passwordHash) {
-      return data;
+    raw = fs.readFileSync(revisionFile(kind), 'utf8');
+  } catch (err) {
+    return [];
+  }
+  const revisions = [];
+  raw.split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      const revision = JSON.parse(line);
+      if (revision && Number.isInteger(revision.number)) revisions.push(revision);
+    } catch (err) {
+      // skip torn lines
     }
+  });
+  return revisions;
+}
+
+function latestRevision(kind) {
+  if (!revisionCounters.has(kind)) {
+    const revisions = loadRevisions(kind);
+    const last = revisions[revisions.length - 1];
+    revisionCounters.set(kind, last ? { number: last.number, data: last.data } : { number: 0, data: undefined });
+  }
+  return revisionCounters.get(kind);
+}
+
+function recordRevision(kind, data, author, revisionInfo) {
+  const latest = latestRevision(kind);
+  // saves that change nothing do not need a revision of their own
+  if (latest.number && JSON.stringify(latest.data) === JSON.stringify(data)) return latest.number;
+  const revision = {
+    number: latest.number + 1,
+    at: new Date().toISOString(),
+    author: author || { type: 'system', name: null },
+    ...(revisionInfo || {}),
+    data,
+  };
+  try {
+    fs.appendFileSync(revisionFile(kind), JSON.stringify(revision) + '\n');
+    revisionCounters.set(kind, { number: revision.number, data });
+  } catch (err) {
+    console.error(`[hub] Failed to record ${kind} revision`, err.message);
+  }
+  return revision.number;
+}
+
+// Admin accounts: admin.json holds { users: [...] }. The original single-password
+// format ({ passwordHash }) is migrated to an "admin" owner account on load.
+const ADMIN_ROLES = ['viewer', 'editor', 'owner'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+
+function roleRank(role) {
+  return ADMIN_ROLES.indexOf(role);
+}
+
+function normalizeUsername(value) {
+  const username = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return USERNAME_PATTERN.test(username) ? username : '';
+}
+
+function normalizeAdminUser(user) {
+  if (!user || typeof user !== 'object') return null;
+  const username = normalizeUsername(user.username);
+  if (!username || typeof user.passwordHash !== 'string' || !user.passwordHash) return null;
+  const now = new Date().toISOString();
+  return {
+    username,
+    passwordHash: user.passwordHash,
+    role: ADMIN_ROLES.includes(user.role) ? user.role : 'viewer',
+    disabled: user.disabled === true,
+    totpSecret: typeof user.totpSecret === 'string' && user.totpSecret ? user.totpSecret : null,
+    totpLastCounter: Number.isInteger(user.totpLastCounter) ? user.totpLastCounter : 0,
+    recoveryCodes: Array.isArray(user.recoveryCodes) ? user.recoveryCodes.filter((hash) => typeof hash === 'string') : [],
+    createdAt: typeof user.createdAt === 'string' ? user.createdAt : now,
+    updatedAt: typeof user.updatedAt === 'string' ? user.updatedAt : now,
+  };
+}
+
+function loadAdminStore() {
+  let data = null;
+  try {
+    data = JSON.parse(fs.readFileSync(ADMIN_STORE_FILE, 'utf8'));
   } catch (err) {
     // ignore, will create defaults
   }
-  const passwordHash = bcrypt.hashSync(DEFAULT_ADMIN_PASSWORD, 10);
-  const credentials = { passwordHash };
-  fs.writeFileSync(ADMIN_STORE_FILE, JSON.stringify(credentials, null, 2));
-  return credentials;
+  if (data && Array.isArray(data.users)) {
+    const users = data.users.map(normalizeAdminUser).filter(Boolean);
+    if (users.length) return { ...data, users };
+  }
+  const passwordHash = data && data.passwordHash ? data.passwordHash : bcrypt.hashSync(DEFAULT_ADMIN_PASSWORD, 10);
+  const store = { users: [normalizeAdminUser({ username: 'admin', passwordHash, role: 'owner' })] };
+  fs.writeFileSync(ADMIN_STORE_FILE, JSON.stringify(store, null, 2));
+  return store;
+}
+
+function saveAdminStore(store) {
+  const users = store.users.map(normalizeAdminUser).filter(Boolean);
+  const next = { ...store, users };
+  fs.writeFileSync(ADMIN_STORE_FILE, JSON.stringify(next, null, 2));
+  adminStore = next;
+  return next;
+}
+
+function findAdminUser(username) {
+  const name = normalizeUsername(username);
+  return adminStore.users.find((user) => user.username === name) || null;
+}
+
+function publicAdminUser(user) {
+  const { passwordHash, totpSecret, totpLastCounter, recoveryCodes, ...rest } = user;
+  return { ...rest, twoFactorEnabled: Boolean(totpSecret), recoveryCodesLeft: recoveryCodes.length };
+}
+
+function updateAdminUser(username, changes) {
+  const users = adminStore.users.map((user) => (user.username === username ? { ...user, ...changes } : user));
+  saveAdminStore({ ...adminStore, users });
+  return findAdminUser(username);
+}
+
+// Owners that can still sign in; the hub must always keep at least one.
+function countActiveOwners(users) {
+  return users.filter((user) => user.role === 'owner' && !user.disabled).length;
+}
+
+let adminStore = loadAdminStore();
+
+// TOTP (RFC 6238) with the parameters every authenticator app defaults to:
+// SHA-1, 6 digits, 30-second steps. One step of clock drift is tolerated and a
+// code is never accepted twice.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of String(text).toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function totpCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+// Returns the time step the code belongs to, or -1 if it is wrong or already used.
+function matchTotp(secret, code, lastCounter) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return -1;
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let counter = current - TOTP_DRIFT_STEPS; counter <= current + TOTP_DRIFT_STEPS; counter += 1) {
+    if (counter > lastCounter && crypto.timingSafeEqual(Buffer.from(totpCode(secret, counter)), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+  return -1;
+}
+
+async function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)));
+  return { codes, hashes };
 }
 
-function saveAdminCredentials(credentials) {
-  fs.writeFileSync(ADMIN_STORE_FILE, JSON.stringify(credentials, null, 2));
-  adminCredentials = credentials;
+// Checks a login/confirmation code against the user's authenticator or, failing
+// that, their unused recovery codes. Successful codes are burnt immediately.
+async function verifySecondFactor(user, code) {
+  if (!user.totpSecret) return null;
+  const counter = matchTotp(user.totpSecret, code, user.totpLastCounter);
+  if (counter !== -1) {
+    updateAdminUser(user.username, { totpLastCounter: counter });
+    return 'totp';
+  }
+  const candidate = String(code || '').trim().toLowerCase();
+  if (!/^[a-f0-9]{5}-[a-f0-9]{5}$/.test(candidate)) return null;
+  for (const hash of user.recoveryCodes) {
+    if (await bcrypt.compare(candidate, hash)) {
+      updateAdminUser(user.username, { recoveryCodes: user.recoveryCodes.filter((item) => item !== hash) });
+      return 'recovery';
+    }
+  }
+  return null;
 }
 
-let adminCredentials = loadAdminCredentials();
+// make sure the state the hub started with can always be restored
+if (!latestRevision('config').number) recordRevision('config', loadConfig(), { type: 'system', name: 'initial' });
+if (!latestRevision('services').number) recordRevision('services', loadServices(), { type: 'system', name: 'initial' });
 
 const allowedImageTypes = new Map([
   ['image/png', '.png'],
@@ -224,13 +1205,16 @@ const allowedExtensions = new Set([
   '.ogv',
 ]);
 
-function buildStoredFilename(originalName, mimetype) {
+function storedExtension(originalName, mimetype) {
   const rawExt = path.extname(originalName || '').toLowerCase();
   const extFromMime =
     allowedImageTypes.get(mimetype) || allowedVideoTypes.get(mimetype);
-  const ext =
-    extFromMime ||
-    (allowedExtensions.has(rawExt) ? rawExt : '.png');
+  return extFromMime || (allowedExtensions.has(rawExt) ? rawExt : '.png');
+}
+
+function buildStoredFilename(originalName, mimetype) {
+  const rawExt = path.extname(originalName || '').toLowerCase();
+  const ext = storedExtension(originalName, mimetype);
   const base = path
     .basename(originalName || 'logo', rawExt)
     .replace(/[^a-z0-9_-]+/gi, '')
@@ -239,79 +1223,817 @@ function buildStoredFilename(originalName, mimetype) {
   return `${Date.now()}-${base}${ext}`;
 }
 
+function uploadFileFilter(_req, file, cb) {
+  if (allowedImageTypes.has(file.mimetype) || allowedVideoTypes.has(file.mimetype)) {
+    return cb(null, true);
+  }
+  if (file.originalname && allowedExtensions.has(path.extname(file.originalname).toLowerCase())) {
+    return cb(null, true);
+  }
+  const err = new Error('Unsupported file type. Allowed: png, jpg, svg, gif, webp, mp4, webm, ogv.');
+  err.code = 'UNSUPPORTED_FILE_TYPE';
+  return cb(err);
+}
+
 const upload = multer({
   storage: multer.diskStorage({
     destination: (_req, _file, cb) => cb(null, UPLOAD_DIR),
     filename: (_req, file, cb) => cb(null, buildStoredFilename(file.originalname, file.mimetype)),
   }),
   limits: { fileSize: 50 * 1024 * 1024 },
-  fileFilter: (_req, file, cb) => {
-    if (allowedImageTypes.has(file.mimetype) || allowedVideoTypes.has(file.mimetype)) {
-      return cb(null, true);
-    }
-    if (file.originalname && allowedExtensions.has(path.extname(file.originalname).toLowerCase())) {
-      return cb(null, true);
-    }
-    const err = new Error('Unsupported file type. Allowed: png, jpg, svg, gif, webp, mp4, webm, ogv.');
-    err.code = 'UNSUPPORTED_FILE_TYPE';
-    return cb(err);
-  },
+  fileFilter: uploadFileFilter,
 });
 
-let dynamicProxies = [];
-function registerProxies(app){
-  // remove previous proxies by reloading express stack is non-trivial; for simplicity we will not remove old handlers in runtime
-  const services = loadServices();
-  services.forEach(s => {
-    app.use(s.prefix, createProxyMiddleware({ target: s.target, changeOrigin: true, pathRewrite: { ['^'+s.prefix]: '' }, logLevel: 'warn' }));
+// Proxy registry: one entry per service, rebuilt from services.json on every save.
+// The whole array is swapped in one assignment so in-flight requests never see a
+// half-built table, and removed prefixes simply stop matching.
+let proxyRoutes = [];
+
+function buildProxyRoute(service) {
+  if (!service || !service.target || !service.prefix || service.prefix === '/') return null;
+  const targets = service.targets.filter((target) => {
+    if (isProxyTarget(target)) return true;
+    console.warn(`[hub] Skipping target ${target} of ${service.name}: invalid URL`);
+    return false;
+  });
+  if (!targets.length) {
+    console.warn(`[hub] Skipping proxy for ${service.name}: no valid target`);
+    return null;
+  }
+  const prefix = service.prefix.replace(/\/+$/, '');
+  const route = {
+    name: service.name,
+    prefix,
+    target: targets[0],
+    targets,
+    // round-robin position; starts over whenever the routes are rebuilt
+    nextTarget: 0,
+    service,
+  };
+  route.proxy = createProxyMiddleware({
+    ...proxyOptions(route),
+    pathRewrite: { ['^' + escapeRegExp(prefix)]: '' },
   });
+  // Used for the service's fallback paths, where the request path carries no prefix.
+  route.passthrough = createProxyMiddleware(proxyOptions(route));
+  return route;
 }
 
-// register once on startup
-registerProxies(app);
-
-// Safer Referer-based proxy: only proxy when we can match a service by the Referer path.
-// This avoids defaulting to an incorrect target (previously 'http://localhost') which
-// caused ECONNREFUSED and 502 responses.
-app.use(['/submit', '/suggest', '/api/suggest', '/upload', '/files'], (req, res, next) => {
-  const allowed = ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'];
-  if (!allowed.includes(req.method)) return next();
+function proxyOptions(route) {
+  return {
+    target: route.target,
+    // the routing layer picks the target (pickTarget) before handing the request over
+    router: (req) => req.hubTarget || route.target,
+    changeOrigin: true,
+    logLevel: 'warn',
+    proxyTimeout: PROXY_TIMEOUT_MS,
+    onProxyReq: (proxyReq, req, res) => {
+      stripHubCredentials(proxyReq);
+      applyIdentityHeader(proxyReq, req);
+      proxyReq.setHeader('X-Request-Id', req.requestId);
+      proxyReq.on('timeout', () => {
+        if (!req.hubProxyResponded) {
+          req.hubProxyTimedOut = true;
+          return;
+        }
+        // the stream went quiet for longer than the idle timeout: drop the client
+        // connection too, so a cut-off download is not mistaken for a complete one
+        req.hubProxyIdle = true;
+        res.destroy();
+      });
+      // http-proxy only notices clients that leave before the request body is
+      // complete; without this an event stream would stay open upstream forever
+      res.on('close', () => {
+        if (!res.writableFinished) proxyReq.destroy();
+      });
+    },
+    onProxyRes: (proxyRes, req, res) => {
+      // headers arrived: from here on only silence counts, and only if an idle timeout is set
+      req.hubProxyResponded = true;
+      proxyRes.req.setTimeout(proxyIdleTimeoutMs(route.service));
+      if (String(proxyRes.headers['content-type'] || '').startsWith('text/event-stream')) {
+        // tell nginx-style proxies in front of the hub not to hold events back
+        proxyRes.headers['x-accel-buffering'] = 'no';
+      }
+      // the service's headers replace ours, so keep the cookies the hub set itself
+      const hubCookies = res.getHeader('set-cookie');
+      if (hubCookies) proxyRes.headers['set-cookie'] = [].concat(proxyRes.headers['set-cookie'] || [], hubCookies);
+      req.hubUpstreamBytes = 0;
+      proxyRes.on('data', (chunk) => {
+        req.hubUpstreamBytes += chunk.length;
+      });
+      recordUpstreamResult(route, req.hubTarget, !UPSTREAM_FAILURE_STATUSES.has(proxyRes.statusCode));
+    },
+    onProxyReqWs: (proxyReq, req, socket) => {
+      stripHubCredentials(proxyReq);
+      applyIdentityHeader(proxyReq, req);
+      proxyReq.setHeader('X-Request-Id', req.requestId);
+      const idleMs = proxyIdleTimeoutMs(route.service);
+      if (idleMs) socket.setTimeout(idleMs, () => socket.destroy());
+      proxyReq.on('response', (proxyRes) => {
+        recordUpstreamResult(route, req.hubTarget, !UPSTREAM_FAILURE_STATUSES.has(proxyRes.statusCode));
+      });
+      proxyReq.on('upgrade', (proxyRes, proxySocket) => {
+        req.hubUpgraded = true;
+        countOpenWebSocket(route.name, 1);
+        recordUpstreamResult(route, req.hubTarget, true);
+        // piping ends a side that closes cleanly; a side that is destroyed
+        // (idle timeout, network error) has to take the other one with it
+        socket.on('close', () => proxySocket.destroy());
+        proxySocket.on('close', () => socket.destroy());
+      });
+    },
+    onError: (err, req, res) => handleProxyError(route, err, req, res),
+  };
+}
 
-  const ref = req.get('referer') || req.get('referrer') || '';
-  if (!ref) {
-    // No referer — cannot determine which service should handle this request
-    return res.status(502).send('Bad gateway: missing Referer');
+function handleProxyError(route, err, req, res) {
+  // for WebSocket upgrades `res` is the client's socket
+  if (typeof res.setHeader !== 'function') {
+    if (req.hubUpgraded) return res.destroy();
+    recordUpstreamResult(route, req.hubTarget, false);
+    return rejectUpgrade(req, res, 502, 'bad_gateway');
   }
+  if (req.hubProxyIdle) return res.destroy();
+  const timedOut = Boolean(req.hubProxyTimedOut) || err.code === 'ETIMEDOUT';
+  // http-proxy-middleware already logs the error itself
+  recordUpstreamResult(route, req.hubTarget, false);
+  if (res.headersSent) return res.end();
+  if (!timedOut && retryOnNextTarget(route, err, req, res)) return undefined;
+  if (timedOut) return sendErrorPage(req, res, 504, 'upstream_timeout', { service: route.service });
+  return sendErrorPage(req, res, 502, 'bad_gateway', { service: route.service });
+}
 
-  let target = null;
+// Requests without a body that could not reach their target at all are safe
+// to send to the next one, which keeps a rolling restart invisible to visitors.
+const RETRYABLE_PROXY_ERRORS = new Set(['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN']);
+
+function retryOnNextTarget(route, err, req, res) {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || !RETRYABLE_PROXY_ERRORS.has(err.code)) return false;
+  req.hubTriedTargets = [...(req.hubTriedTargets || []), req.hubTarget];
+  const next = pickTarget(route, req.hubTriedTargets);
+  if (!next) return false;
+  req.hubTarget = next;
+  req.hubProxyHandler(req, res, () => {});
+  return true;
+}
+
+// Circuit breakers, one per target of a service. After CIRCUIT_FAILURE_THRESHOLD
+// upstream failures in a row the breaker opens and the target is taken out of
+// rotation; when every target of a service is out, requests are answered with a
+// 503 right away. Once the cooldown has passed a single request is let through
+// as a probe: success closes the breaker, failure keeps it open for another cooldown.
+const circuitBreakers = new Map(); // name -> Map(target -> breaker)
+
+function circuitFor(route, target) {
+  if (!circuitBreakers.has(route.name)) circuitBreakers.set(route.name, new Map());
+  const breakers = circuitBreakers.get(route.name);
+  if (!breakers.has(target)) {
+    breakers.set(target, { failures: 0, openedAt: null, retryAt: null, probeStartedAt: null });
+  }
+  return breakers.get(target);
+}
+
+function targetAvailable(breaker, now) {
+  if (!breaker.openedAt) return true;
+  if (now < breaker.retryAt) return false;
+  // a probe that never reported back (client went away) must not block forever
+  return !breaker.probeStartedAt || now - breaker.probeStartedAt >= PROXY_TIMEOUT_MS;
+}
+
+// Chooses the target for a request, skipping those in `tried`, or returns null
+// when none may take it. Targets whose last health check failed are only used
+// when nothing else is left.
+function pickTarget(route, tried = []) {
+  const now = Date.now();
+  const usable = route.targets.filter((target) => !tried.includes(target) && targetAvailable(circuitFor(route, target), now));
+  if (!usable.length) return null;
+  const healthy = usable.filter((target) => {
+    const health = targetHealth.get(route.name);
+    const latest = health && health.get(target);
+    return !latest || latest.ok;
+  });
+  const pool = healthy.length ? healthy : usable;
+  let target = pool[0];
+  if (route.service.loadBalancing === 'round-robin') {
+    target = pool[route.nextTarget % pool.length];
+    route.nextTarget += 1;
+  }
+  const breaker = circuitFor(route, target);
+  if (breaker.openedAt) breaker.probeStartedAt = now;
+  return target;
+}
+
+// Seconds until the first target of a fully tripped service takes requests again.
+function circuitRetryAfter(route) {
+  const now = Date.now();
+  const waits = route.targets.map((target) => {
+    const breaker = circuitFor(route, target);
+    return breaker.retryAt > now ? breaker.retryAt - now : CIRCUIT_COOLDOWN_MS;
+  });
+  return Math.max(1, Math.ceil(Math.min(...waits) / 1000));
+}
+
+function recordUpstreamResult(route, target, ok) {
+  const breaker = circuitFor(route, target);
+  const label = route.targets.length > 1 ? `${route.name} (${target})` : route.name;
+  if (ok) {
+    if (breaker.openedAt) {
+      console.log(`[hub] Circuit for ${label} closed`);
+      statusEvents.emit('service', route.name);
+    }
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.retryAt = null;
+    breaker.probeStartedAt = null;
+    return;
+  }
+  breaker.failures += 1;
+  if (!breaker.openedAt && breaker.failures < CIRCUIT_FAILURE_THRESHOLD) return;
+  if (!breaker.openedAt) {
+    console.warn(`[hub] Circuit for ${label} opened after ${breaker.failures} failures`);
+    breaker.openedAt = Date.now();
+  }
+  breaker.retryAt = Date.now() + CIRCUIT_COOLDOWN_MS;
+  breaker.probeStartedAt = null;
+  statusEvents.emit('service', route.name);
+}
+
+function describeBreaker(breaker) {
+  if (!breaker || !breaker.openedAt) return null;
+  return {
+    failures: breaker.failures,
+    openedAt: new Date(breaker.openedAt).toISOString(),
+    retryAt: new Date(breaker.retryAt).toISOString(),
+  };
+}
+
+// Service-wide circuit state: open only while every target's breaker is open.
+function describeCircuit(name) {
+  const route = proxyRoutes.find((entry) => entry.name === name);
+  const breakers = circuitBreakers.get(name);
+  if (!route || !breakers) return null;
+  const open = route.targets.map((target) => breakers.get(target)).filter((breaker) => breaker && breaker.openedAt);
+  if (open.length < route.targets.length) return null;
+  return {
+    failures: open.reduce((sum, breaker) => sum + breaker.failures, 0),
+    openedAt: new Date(Math.max(...open.map((breaker) => breaker.openedAt))).toISOString(),
+    retryAt: new Date(Math.min(...open.map((breaker) => breaker.retryAt))).toISOString(),
+  };
+}
+
+// Shared HMAC secret for X-Hub-Identity tokens. Services verify tokens with the
+// same value, so production setups should pass HUB_IDENTITY_SECRET to both sides.
+function loadIdentitySecret() {
+  if (process.env.HUB_IDENTITY_SECRET) return process.env.HUB_IDENTITY_SECRET;
   try {
-    const u = new URL(ref);
-    const p = u.pathname || '/';
-    const services = loadServices();
-    for (const s of services) {
-      if (!s || !s.prefix) continue;
-      if (p === s.prefix || p.startsWith(s.prefix + '/')) {
-        target = s.target;
-        break;
+    const stored = fs.readFileSync(IDENTITY_SECRET_FILE, 'utf8').trim();
+    if (stored) return stored;
+  } catch (err) {
+    // generate below
+  }
+  const generated = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(IDENTITY_SECRET_FILE, generated, { mode: 0o600 });
+  console.warn(`[hub] HUB_IDENTITY_SECRET is not set; generated one in ${IDENTITY_SECRET_FILE}`);
+  return generated;
+}
+
+let identitySecret = loadIdentitySecret();
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Compact HS256 JWT naming the hub user and the roles implied by their role.
+function signIdentityToken(user, service) {
+  const now = Math.floor(Date.now() / 1000);
+  const rank = roleRank(user.role);
+  const body = `${base64UrlJson({ alg: 'HS256', typ: 'JWT' })}.${base64UrlJson({
+    iss: 'linart-hub',
+    aud: service.name,
+    sub: user.username,
+    name: user.username,
+    role: user.role,
+    roles: ADMIN_ROLES.slice(0, rank + 1),
+    iat: now,
+    exp: now + IDENTITY_TOKEN_TTL,
+  })}`;
+  const signature = crypto.createHmac('sha256', identitySecret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// The session cookie and a bearer API token are the hub's credentials, good for
+// the admin API; a service that saw them could act as the user there. Services
+// learn who the user is from X-Hub-Identity alone.
+function stripHubCredentials(proxyReq) {
+  proxyReq.removeHeader('authorization');
+  const cookie = proxyReq.getHeader('cookie');
+  if (!cookie) return;
+  const kept = [].concat(cookie).join(';').split(';')
+    .map((pair) => pair.trim())
+    .filter((pair) => pair && pair.split('=')[0].trim() !== SESSION_COOKIE);
+  if (kept.length) proxyReq.setHeader('cookie', kept.join('; '));
+  else proxyReq.removeHeader('cookie');
+}
+
+function applyIdentityHeader(proxyReq, req) {
+  // never let a client supply its own identity
+  proxyReq.removeHeader('x-hub-identity');
+  if (req.hubIdentityToken) {
+    proxyReq.setHeader('X-Hub-Identity', req.hubIdentityToken);
+  }
+}
+
+const SERVICE_ACCESS_STATUS = { unauthorized: 401, forbidden: 403, password_change_required: 403 };
+
+// Check a request against the service's access mode. Returns null when the
+// request may pass, otherwise an error code from SERVICE_ACCESS_STATUS.
+function authorizeServiceRequest(route, req) {
+  const service = route.service;
+  if (service.access === 'public') return null;
+  const user = getSessionUser(req);
+  if (!user) return 'unauthorized';
+  // a session still on the fallback password gets nothing but the password form
+  if (req.session.mustChangePassword) return 'password_change_required';
+  if (service.access === 'role') {
+    const granted = ADMIN_ROLES.slice(0, roleRank(user.role) + 1);
+    if (!service.accessRoles.some((role) => granted.includes(role))) return 'forbidden';
+  }
+  req.hubIdentityToken = signIdentityToken(user, service);
+  return null;
+}
+
+function rejectServiceRequest(req, res, error) {
+  if (error !== 'forbidden' && (req.method === 'GET' || req.method === 'HEAD') && req.accepts(['html', 'json']) === 'html') {
+    return res.redirect(302, `/admin?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  return res.status(SERVICE_ACCESS_STATUS[error]).json({ ok: false, error });
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function hexToRgba(hex, opacity) {
+  let digits = String(hex).replace('#', '');
+  if (digits.length === 3) digits = digits.split('').map((char) => char + char).join('');
+  const value = parseInt(digits, 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+}
+
+// Standalone page in the landing page's colours and logo, used for the
+// maintenance and error pages the hub answers with instead of a service.
+function renderHubPage(config, { title, heading, paragraphs, logo, refresh }) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+  ${refresh ? `<meta http-equiv="refresh" content="${refresh}">` : ''}
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; font-family: 'Segoe UI', Arial, sans-serif; color: #f8fafc; background: ${hexToRgba(config.pageBackgroundColor, config.pageBackgroundOpacity)}; }
+    main { max-width: 520px; margin: 24px; padding: 32px; border-radius: 18px; text-align: center; background: ${hexToRgba(config.surfaceColor, config.surfaceOpacity)}; box-shadow: 0 20px 50px rgba(0, 0, 0, 0.35); }
+    img { width: 72px; height: 72px; object-fit: contain; }
+    h1 { font-size: 1.5rem; margin: 16px 0 8px; }
+    p { line-height: 1.5; color: #cbd5e1; white-space: pre-line; }
+    a { color: #93c5fd; }
+  </style>
+</head>
+<body>
+  <main>
+    <img src="${escapeHtml(logo || config.siteLogo)}" alt="">
+    <h1>${escapeHtml(heading)}</h1>
+    ${paragraphs.filter(Boolean).join('\n    ')}
+    <p><a href="/">Back to ${escapeHtml(config.siteTitle)}</a></p>
+  </main>
+  <script>
+    document.querySelectorAll('time').forEach((el) => { el.textContent = new Date(el.dateTime).toLocaleString(); });
+  </script>
+</body>
+</html>`;
+}
+
+function renderMaintenancePage(service, config) {
+  const until = service.maintenanceUntil;
+  const message = service.maintenanceMessage || 'We are doing some planned work and will be back shortly.';
+  return renderHubPage(config, {
+    title: `${service.displayName} — maintenance`,
+    heading: `${service.displayName} is under maintenance`,
+    logo: service.logo,
+    refresh: 60,
+    paragraphs: [
+      `<p>${escapeHtml(message)}</p>`,
+      until ? `<p>Expected back: <time datetime="${until}">${new Date(until).toUTCString()}</time></p>` : '',
+    ],
+  });
+}
+
+function sendMaintenance(req, res, service) {
+  const untilMs = service.maintenanceUntil ? Date.parse(service.maintenanceUntil) : NaN;
+  if (untilMs > Date.now()) res.set('Retry-After', String(Math.ceil((untilMs - Date.now()) / 1000)));
+  res.set('Cache-Control', 'no-store');
+  res.status(503);
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.json({ ok: false, error: 'maintenance', message: service.maintenanceMessage, until: service.maintenanceUntil });
+  }
+  return res.type('html').send(renderMaintenancePage(service, loadConfig()));
+}
+
+const ERROR_PAGE_TEXT = {
+  not_found: ['Page not found', 'There is nothing at this address. It may have moved, or the service was removed from the hub.'],
+  no_service_affinity: ['Cannot open this page', 'Several services use this address, and the hub cannot tell which one you are working with. Open the service from the hub and try again.'],
+  bad_gateway: ['{service} is not responding', 'The hub could not reach the service. It may be restarting; please try again in a moment.'],
+  upstream_timeout: ['{service} is taking too long', 'The service did not answer in time. Please try again in a moment.'],
+  circuit_open: ['{service} is temporarily unavailable', 'The service has failed several times in a row, so the hub is giving it a short break before sending requests again.'],
+};
+
+// Error answer for requests the hub could not pass on: a themed HTML page for
+// browsers, `{ ok: false, error, message }` for clients that prefer JSON.
+function sendErrorPage(req, res, status, error, { service, retryAfter } = {}) {
+  const [heading, message] = ERROR_PAGE_TEXT[error];
+  const name = service ? service.displayName : 'The service';
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+  res.set('Cache-Control', 'no-store');
+  res.status(status);
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.json({
+      ok: false,
+      error,
+      message,
+      requestId: req.requestId,
+      ...(service ? { service: service.name } : {}),
+      ...(retryAfter ? { retryAfter } : {}),
+    });
+  }
+  const title = heading.replace('{service}', name);
+  return res.type('html').send(renderHubPage(loadConfig(), {
+    title: `${status} — ${title}`,
+    heading: title,
+    logo: service && service.logo,
+    refresh: status >= 500 ? retryAfter || 30 : null,
+    paragraphs: [
+      `<p>${escapeHtml(message)}</p>`,
+      retryAfter ? `<p>Retrying in about ${retryAfter} s.</p>` : '',
+      `<p><small>Error ${status} · request ${escapeHtml(req.requestId)}</small></p>`,
+    ],
+  }));
+}
+
+function reloadProxyRoutes(services) {
+  const list = Array.isArray(services) ? services : loadServices();
+  proxyRoutes = list
+    .map(buildProxyRoute)
+    .filter(Boolean)
+    // longest prefix first so /service1-beta is not swallowed by /service1
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+  circuitBreakers.forEach((breakers, name) => {
+    const route = proxyRoutes.find((entry) => entry.name === name);
+    if (!route) {
+      circuitBreakers.delete(name);
+      return;
+    }
+    // a target that was removed or replaced starts over with a closed breaker
+    breakers.forEach((_breaker, target) => {
+      if (!route.targets.includes(target)) breakers.delete(target);
+    });
+  });
+  return proxyRoutes;
+}
+
+function findProxyRoute(pathname) {
+  if (typeof pathname !== 'string') return null;
+  return proxyRoutes.find((route) => pathname === route.prefix || pathname.startsWith(route.prefix + '/')) || null;
+}
+
+reloadProxyRoutes();
+
+// Prometheus metrics, kept in memory since the hub started. Counters simply
+// restart from zero after a restart, which Prometheus handles on its own.
+const METRIC_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const metricRegistry = [];
+const metricsStartedAt = Date.now();
+
+function createMetric(name, type, help) {
+  const metric = { name, type, help, series: new Map() };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+const proxyRequestsMetric = createMetric('hub_proxy_requests_total', 'counter', 'Requests routed to a service, by method and response code.');
+const proxyDurationMetric = createMetric('hub_proxy_request_duration_seconds', 'histogram', 'Time until the response to a proxied request was finished.');
+const proxyBytesInMetric = createMetric('hub_proxy_request_bytes_total', 'counter', 'Request body bytes received from clients for a service.');
+const proxyBytesOutMetric = createMetric('hub_proxy_response_bytes_total', 'counter', 'Response body bytes sent to clients for a service.');
+const healthChecksMetric = createMetric('hub_health_checks_total', 'counter', 'Background health checks, by result.');
+const healthUpMetric = createMetric('hub_health_up', 'gauge', 'Result of the last health check (1 = ok, 0 = failed).');
+const healthLatencyMetric = createMetric('hub_health_latency_seconds', 'gauge', 'Response time of the last successful health check.');
+const circuitOpenMetric = createMetric('hub_circuit_open', 'gauge', 'Whether the circuit breaker of a service is open.');
+const webSocketsOpenMetric = createMetric('hub_proxy_websockets_open', 'gauge', 'WebSocket connections currently proxied to a service.');
+const adminLoginsMetric = createMetric('hub_admin_logins_total', 'counter', 'Admin sign-in attempts, by result (success, failure, locked).');
+
+function metricSeries(metric, labels) {
+  const key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = { labels, value: 0 };
+    if (metric.type === 'histogram') {
+      series.buckets = METRIC_LATENCY_BUCKETS.map(() => 0);
+      series.count = 0;
+    }
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function incrementMetric(metric, labels, amount = 1) {
+  metricSeries(metric, labels).value += amount;
+}
+
+function observeMetric(metric, labels, value) {
+  const series = metricSeries(metric, labels);
+  METRIC_LATENCY_BUCKETS.forEach((bound, index) => {
+    if (value <= bound) series.buckets[index] += 1;
+  });
+  series.value += value;
+  series.count += 1;
+}
+
+function formatMetricLabels(labels) {
+  const pairs = Object.keys(labels).map((key) => {
+    const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${key}="${value}"`;
+  });
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Gauges describe the current state, so they are rebuilt on every scrape
+// and services that were removed drop out of the output.
+function refreshMetricGauges() {
+  [healthUpMetric, healthLatencyMetric, circuitOpenMetric, webSocketsOpenMetric].forEach((metric) => metric.series.clear());
+  loadServices().forEach((service) => {
+    const latest = healthLatest.get(service.name);
+    if (!service.healthDisabled && latest && typeof latest.ok === 'boolean') {
+      metricSeries(healthUpMetric, { service: service.name }).value = latest.ok ? 1 : 0;
+      if (latest.ok && typeof latest.latencyMs === 'number') {
+        metricSeries(healthLatencyMetric, { service: service.name }).value = latest.latencyMs / 1000;
       }
     }
+    metricSeries(circuitOpenMetric, { service: service.name }).value = describeCircuit(service.name) ? 1 : 0;
+    if (service.websocket) metricSeries(webSocketsOpenMetric, { service: service.name }).value = openWebSockets.get(service.name) || 0;
+  });
+}
+
+function renderMetrics() {
+  refreshMetricGauges();
+  const lines = [
+    '# HELP hub_start_time_seconds Time the hub process started, in unix seconds.',
+    '# TYPE hub_start_time_seconds gauge',
+    `hub_start_time_seconds ${Math.floor(metricsStartedAt / 1000)}`,
+  ];
+  metricRegistry.forEach((metric) => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    metric.series.forEach((series) => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatMetricLabels(series.labels)} ${series.value}`);
+        return;
+      }
+      METRIC_LATENCY_BUCKETS.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatMetricLabels(series.labels)} ${series.value}`);
+      lines.push(`${metric.name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Upper bound of the histogram bucket holding the given share of requests.
+function histogramQuantile(series, quantile) {
+  if (!series || !series.count) return null;
+  const rank = series.count * quantile;
+  const index = series.buckets.findIndex((count) => count >= rank);
+  return index === -1 ? null : METRIC_LATENCY_BUCKETS[index];
+}
+
+// Per-service totals for the admin panel, folded from the same series.
+function summarizeServiceMetrics(name) {
+  const summary = { requests: 0, errors: 0, bytesIn: 0, bytesOut: 0, avgMs: null, p95Ms: null, healthChecks: 0, healthFailures: 0 };
+  proxyRequestsMetric.series.forEach((series) => {
+    if (series.labels.service !== name) return;
+    summary.requests += series.value;
+    if (series.labels.code >= 500) summary.errors += series.value;
+  });
+  healthChecksMetric.series.forEach((series) => {
+    if (series.labels.service !== name) return;
+    summary.healthChecks += series.value;
+    if (series.labels.result === 'fail') summary.healthFailures += series.value;
+  });
+  const duration = proxyDurationMetric.series.get(JSON.stringify({ service: name }));
+  if (duration && duration.count) {
+    summary.avgMs = Math.round((duration.value / duration.count) * 1000);
+    const p95 = histogramQuantile(duration, 0.95);
+    summary.p95Ms = p95 === null ? null : p95 * 1000;
+  }
+  const bytesIn = proxyBytesInMetric.series.get(JSON.stringify({ service: name }));
+  const bytesOut = proxyBytesOutMetric.series.get(JSON.stringify({ service: name }));
+  summary.bytesIn = bytesIn ? bytesIn.value : 0;
+  summary.bytesOut = bytesOut ? bytesOut.value : 0;
+  return summary;
+}
+
+// Record one request to a service once its response is over, whoever answered
+// it: the upstream, or the hub itself (maintenance, access checks, errors).
+function trackProxyRequest(route, req, res) {
+  const started = process.hrtime.bigint();
+  req.hubService = route.name;
+  res.on('close', () => {
+    const labels = { service: route.name };
+    // 499 is the usual code for a client that went away before the response started
+    const code = res.headersSent ? res.statusCode : 499;
+    incrementMetric(proxyRequestsMetric, { ...labels, method: req.method, code });
+    observeMetric(proxyDurationMetric, labels, Number(process.hrtime.bigint() - started) / 1e9);
+    incrementMetric(proxyBytesInMetric, labels, Number(req.get('content-length')) || 0);
+    const bytesOut = req.hubUpstreamBytes !== undefined ? req.hubUpstreamBytes : Number(res.getHeader('content-length')) || 0;
+    incrementMetric(proxyBytesOutMetric, labels, bytesOut);
+  });
+}
+
+// Single routing layer for every registered service prefix.
+app.use((req, res, next) => {
+  const route = findProxyRoute(req.path);
+  if (!route) return next();
+  trackProxyRequest(route, req, res);
+  if (req.path === route.prefix && (req.method === 'GET' || req.method === 'HEAD')) {
+    const query = req.originalUrl.slice(req.path.length);
+    return res.redirect(301, `${route.prefix}/${query}`);
+  }
+  if (route.service.maintenance) return sendMaintenance(req, res, route.service);
+  const denied = authorizeServiceRequest(route, req);
+  if (denied) return rejectServiceRequest(req, res, denied);
+  req.hubTarget = pickTarget(route);
+  if (!req.hubTarget) {
+    return sendErrorPage(req, res, 503, 'circuit_open', { service: route.service, retryAfter: circuitRetryAfter(route) });
+  }
+  setServiceAffinity(route, req, res);
+  req.hubProxyHandler = route.proxy;
+  return route.proxy(req, res, next);
+});
+
+// Root-relative calls from service pages carry no prefix, so they are matched
+// against each service's `fallbackPaths`. A path claimed by one service goes
+// there; when several claim it, the X-Hub-Service header or the affinity
+// cookie set when the user last opened one of those services decides.
+const SERVICE_AFFINITY_COOKIE = 'hub.service';
+const SERVICE_AFFINITY_HEADER = 'X-Hub-Service';
+
+function fallbackPathMatches(fallbackPath, pathname) {
+  return pathname === fallbackPath || pathname.startsWith(`${fallbackPath}/`);
+}
+
+// Page loads under a service prefix remember the service in a cookie scoped to
+// each of its fallback paths, so it only travels with the calls it routes.
+function setServiceAffinity(route, req, res) {
+  if (req.method !== 'GET' || !(req.get('accept') || '').includes('text/html')) return;
+  const secure = process.env.HUB_COOKIE_SECURE === 'true' || req.secure;
+  route.service.fallbackPaths.forEach((fallbackPath) => {
+    res.cookie(SERVICE_AFFINITY_COOKIE, route.name, { path: fallbackPath, httpOnly: true, sameSite: 'lax', secure });
+  });
+}
+
+// Returns the route for a fallback path, `false` when several services claim
+// it and nothing says which one is meant, or null when none does.
+function findFallbackRoute(req) {
+  const candidates = proxyRoutes.filter((route) =>
+    route.service.fallbackPaths.some((fallbackPath) => fallbackPathMatches(fallbackPath, req.path))
+  );
+  if (!candidates.length) return null;
+  const wanted = req.get(SERVICE_AFFINITY_HEADER) || req.cookies[SERVICE_AFFINITY_COOKIE];
+  const chosen = candidates.find((route) => route.name === wanted);
+  if (chosen) return chosen;
+  return candidates.length === 1 ? candidates[0] : false;
+}
+
+app.use((req, res, next) => {
+  const route = findFallbackRoute(req);
+  if (route === null) return next();
+  if (route === false) return sendErrorPage(req, res, 502, 'no_service_affinity');
+  trackProxyRequest(route, req, res);
+  if (route.service.maintenance) return sendMaintenance(req, res, route.service);
+  const denied = authorizeServiceRequest(route, req);
+  if (denied) return rejectServiceRequest(req, res, denied);
+  req.hubTarget = pickTarget(route);
+  if (!req.hubTarget) {
+    return sendErrorPage(req, res, 503, 'circuit_open', { service: route.service, retryAfter: circuitRetryAfter(route) });
+  }
+  req.hubProxyHandler = route.passthrough;
+  return route.passthrough(req, res, next);
+});
+
+// WebSocket handshakes arrive on the server's `upgrade` event and never pass
+// through Express, so the checks of the prefix layer above are repeated here.
+// Only services with `websocket: true` accept them, and only under their
+// prefix: sockets opened on a root-relative fallback path are refused.
+const openWebSockets = new Map();
+
+function countOpenWebSocket(name, delta) {
+  const open = (openWebSockets.get(name) || 0) + delta;
+  if (open > 0) {
+    openWebSockets.set(name, open);
+  } else {
+    openWebSockets.delete(name);
+  }
+}
+
+function rejectUpgrade(req, socket, status, error) {
+  req.hubUpgradeStatus = status;
+  if (!socket.writable) return socket.destroy();
+  const body = JSON.stringify({ ok: false, error, requestId: req.requestId });
+  return socket.end(
+    [
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+      'Content-Type: application/json; charset=utf-8',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      'Connection: close',
+      '',
+      body,
+    ].join('\r\n')
+  );
+}
+
+// Browsers send cookies with cross-site WebSocket handshakes, so a page on
+// another site must not open a socket to a protected service under the
+// visitor's session.
+function isSameOriginUpgrade(req) {
+  const origin = req.get('origin');
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.get('host');
   } catch (err) {
-    console.warn('[hub] referer parse failed', err && err.message);
-    return res.status(502).send('Bad gateway: invalid Referer');
+    return false;
   }
+}
+
+function trackUpgrade(req, socket) {
+  const started = process.hrtime.bigint();
+  // read now: a closed socket no longer knows its peer
+  const ip = req.ip;
+  socket.on('error', () => socket.destroy());
+  socket.on('close', () => {
+    const status = req.hubUpgradeStatus || (req.hubUpgraded ? 101 : 499);
+    if (req.hubService) {
+      incrementMetric(proxyRequestsMetric, { service: req.hubService, method: req.method, code: status });
+      if (req.hubUpgraded) countOpenWebSocket(req.hubService, -1);
+    }
+    writeAccessLog({
+      t: new Date().toISOString(),
+      id: req.requestId,
+      method: req.method,
+      path: accessLogPath(req.originalUrl),
+      status,
+      ms: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      service: req.hubService || null,
+      target: req.hubTarget || null,
+      ip,
+      user: describeRequestUser(req),
+      bytesIn: socket.bytesRead,
+      bytesOut: socket.bytesWritten,
+      ua: String(req.get('user-agent') || '').slice(0, 300),
+    });
+  });
+}
 
-  if (!target) {
-    return res.status(502).send('Bad gateway: no matching service for Referer ' + ref);
+function handleProxyUpgrade(req, socket, head) {
+  // give the raw request Express's helpers (req.ip, req.path, req.get), as Express itself would
+  Object.setPrototypeOf(req, app.request);
+  req.originalUrl = req.url;
+  req.requestId = readRequestId(req);
+  trackUpgrade(req, socket);
+
+  const route = findProxyRoute(req.path);
+  if (!route || !route.service.websocket || String(req.get('upgrade')).toLowerCase() !== 'websocket') {
+    return rejectUpgrade(req, socket, 404, 'not_found');
   }
+  req.hubService = route.name;
+  if (route.service.maintenance) return rejectUpgrade(req, socket, 503, 'maintenance');
+  if (route.service.access !== 'public' && !isSameOriginUpgrade(req)) return rejectUpgrade(req, socket, 403, 'forbidden');
 
-  // Create a one-off proxy to the resolved target and pass the request through.
-  const proxy = createProxyMiddleware({
-    target: target,
-    changeOrigin: true,
-    logLevel: 'warn'
+  return sessionMiddleware(req, {}, () => {
+    const denied = authorizeServiceRequest(route, req);
+    if (denied) return rejectUpgrade(req, socket, SERVICE_ACCESS_STATUS[denied], denied);
+    req.hubTarget = pickTarget(route);
+    if (!req.hubTarget) return rejectUpgrade(req, socket, 503, 'circuit_open');
+    return route.proxy.upgrade(req, socket, head);
   });
+}
 
-  return proxy(req, res, next);
+// Uploaded SVGs are sanitised on upload; the policy is a second line of
+// defence for anyone opening one directly rather than through an <img>.
+app.use('/static/uploads', (req, res, next) => {
+  if (req.path.toLowerCase().endsWith('.svg')) {
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+  }
+  next();
 });
 
 // Static files
@@ -327,419 +2049,3283 @@ app.get('/status', (req, res) => {
   res.sendFile(path.join(__dirname, 'static', 'status.html'));
 });
 
-// Simple pages
-// Aggregated status API that queries each service health endpoint
-app.get('/api/status', async (req, res) => {
-  const config = loadConfig();
-  const services = loadServices();
-
-  const results = await Promise.all(
-    services.map(async (service) => {
-      const base = {
-        name: service.name,
-        displayName: service.displayName,
-        description: service.description,
-        prefix: service.prefix,
-        logo: service.logo,
-        target: service.target,
-      };
-
-      let healthUrl = null;
-      try {
-        healthUrl = new URL('/health', service.target).toString();
-      } catch (err) {
-        return { ...base, ok: false, error: `Invalid target URL: ${err.message}` };
-      }
+// Background health monitoring.
+// Every service is polled on its own timer; each result is appended to
+// data/health-history.jsonl and kept in memory for the last 30 days so that
+// /api/status can answer from history without touching the services.
+const healthEvents = new EventEmitter();
+// Anything that changes what /api/status reports: 'service' (name) when one
+// service goes up or down or its circuit opens or closes, 'reload' when
+// services.json or config.json is saved. /api/status/stream forwards these.
+const statusEvents = new EventEmitter();
+const healthHistory = new Map(); // name -> [{ t, ok, ms }]
+const healthLatest = new Map(); // name -> last check result
+// Services with several targets check each one; the service counts as up while
+// any target is. Kept in memory only: the history stays per service.
+const targetHealth = new Map(); // name -> Map(target -> { ok, latencyMs, checkedAt, error })
+const healthTimers = new Map(); // name -> { timer, key }
+const healthInFlight = new Set();
 
-      try {
-        const response = await fetch(healthUrl, { timeout: 2000 });
-        if (!response.ok) {
-          return { ...base, ok: false, status: response.status };
-        }
-        const body = await response.json();
-        return { ...base, ok: true, info: body };
-      } catch (err) {
-        return { ...base, ok: false, error: String(err) };
+function loadHealthHistory() {
+  let raw = '';
+  try {
+    raw = fs.readFileSync(HEALTH_HISTORY_FILE, 'utf8');
+  } catch (err) {
+    return;
+  }
+  const cutoff = Date.now() - HEALTH_RETENTION_MS;
+  raw.split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (!entry || typeof entry.name !== 'string' || !(entry.t >= cutoff)) return;
+      if (!healthHistory.has(entry.name)) healthHistory.set(entry.name, []);
+      healthHistory.get(entry.name).push({ t: entry.t, ok: Boolean(entry.ok), ms: entry.ms });
+      if (entry.lastChange) {
+        healthLatest.set(entry.name, { ...(healthLatest.get(entry.name) || {}), lastChange: entry.lastChange });
       }
-    })
-  );
+    } catch (err) {
+      // skip torn or corrupted lines
+    }
+  });
+  healthHistory.forEach((list, name) => {
+    list.sort((a, b) => a.t - b.t);
+    const last = list[list.length - 1];
+    if (!last) return;
+    // seed the latest state so /api/status answers straight after a restart
+    const seeded = healthLatest.get(name) || {};
+    healthLatest.set(name, { ok: last.ok, latencyMs: last.ms, checkedAt: last.t, lastChange: seeded.lastChange || last.t });
+  });
+}
 
-  res.json({
-    services: results,
-    hub: {
-      now: new Date().toISOString(),
-      siteLogo: config.siteLogo,
-      siteTitle: config.siteTitle,
-      brandTagline: config.brandTagline,
-      introTitle: config.introTitle,
-      introBody: config.introBody,
-      contactWhatsapp: config.contactWhatsapp,
-      heroVideo: config.heroVideo,
-      heroVideoBlur: config.heroVideoBlur,
-      heroOverlayColor: config.heroOverlayColor,
-      heroOverlayOpacity: config.heroOverlayOpacity,
-      pageBackgroundColor: config.pageBackgroundColor,
-      pageBackgroundOpacity: config.pageBackgroundOpacity,
-      surfaceColor: config.surfaceColor,
-      surfaceOpacity: config.surfaceOpacity,
-      welcomeImage: config.welcomeImage,
-      socialLinks: config.socialLinks,
-    },
+// Rewrite the history file with only the entries still inside the retention window.
+function compactHealthHistory() {
+  const cutoff = Date.now() - HEALTH_RETENTION_MS;
+  const lines = [];
+  healthHistory.forEach((list, name) => {
+    const kept = list.filter((entry) => entry.t >= cutoff);
+    healthHistory.set(name, kept);
+    const latest = healthLatest.get(name);
+    kept.forEach((entry, index) => {
+      const line = { name, ...entry };
+      if (index === kept.length - 1 && latest && latest.lastChange) line.lastChange = latest.lastChange;
+      lines.push(JSON.stringify(line));
+    });
   });
-});
+  const tmp = `${HEALTH_HISTORY_FILE}.tmp`;
+  try {
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, HEALTH_HISTORY_FILE);
+  } catch (err) {
+    console.warn('[hub] Failed to compact health history', err.message);
+  }
+}
 
-// Admin: login page
-app.get('/admin', (req, res) => {
-  if (req.session && req.session.authenticated) return res.sendFile(path.join(__dirname, 'static', 'admin.html'));
-  return res.sendFile(path.join(__dirname, 'static', 'admin-login.html'));
-});
+// fetch() reports every network problem as a bare "fetch failed" and keeps the
+// real reason in `cause`; these are the ones worth explaining in plain words.
+const NETWORK_ERROR_TEXT = {
+  ENOTFOUND: 'Host name not found in DNS',
+  EAI_AGAIN: 'DNS lookup failed, try again later',
+  ECONNREFUSED: 'Connection refused: nothing listens on that port',
+  ECONNRESET: 'Connection reset by the server',
+  EHOSTUNREACH: 'Host unreachable',
+  ENETUNREACH: 'Network unreachable',
+  ETIMEDOUT: 'Connection timed out',
+  UND_ERR_CONNECT_TIMEOUT: 'Connection timed out',
+  UND_ERR_SOCKET: 'Connection closed unexpectedly',
+  CERT_HAS_EXPIRED: 'TLS certificate has expired',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'TLS certificate is self-signed',
+  SELF_SIGNED_CERT_IN_CHAIN: 'TLS certificate chain contains a self-signed certificate',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'TLS certificate cannot be verified (intermediate certificate missing?)',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'TLS certificate is issued by an unknown authority',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'TLS certificate does not match the host name',
+  ERR_SSL_WRONG_VERSION_NUMBER: 'TLS handshake failed: the server probably speaks plain http://',
+  EPROTO: 'TLS handshake failed: the server probably speaks plain http://',
+};
 
-app.post('/admin/login', async (req, res) => {
-  const pass = req.body && req.body.password;
-  if (typeof pass !== 'string' || !pass.length) {
-    return res.status(403).send('Forbidden');
+function describeNetworkError(err) {
+  const cause = err && err.cause ? err.cause : err;
+  const code = cause && cause.code;
+  if (code && NETWORK_ERROR_TEXT[code]) {
+    return `${NETWORK_ERROR_TEXT[code]} (${code}${cause.hostname ? ` ${cause.hostname}` : ''})`;
   }
+  return cause && cause.message ? cause.message : String(err);
+}
+
+async function checkServiceHealth(service, target = service.target) {
+  const started = Date.now();
+  let healthUrl = null;
   try {
-    const ok = await bcrypt.compare(pass, adminCredentials.passwordHash);
-    if (ok) {
-      req.session.authenticated = true;
-      return res.redirect('/admin');
-    }
+    healthUrl = new URL(service.healthPath || DEFAULT_HEALTH_PATH, target).toString();
   } catch (err) {
-    console.warn('[hub] Failed to compare admin password', err);
+    return { ok: false, error: `Invalid target URL: ${err.message}`, latencyMs: null };
   }
-  return res.status(403).send('Forbidden');
-});
+  const expected = parseExpectedStatus(service.healthExpectedStatus) || parseExpectedStatus(DEFAULT_HEALTH_EXPECTED_STATUS);
+  const assertion = parseHealthAssertion(service.healthAssert) || [];
+  const timeoutMs = service.healthTimeoutMs || DEFAULT_HEALTH_TIMEOUT_MS;
 
-function requireAuth(req, res, next){
-  if (req.session && req.session.authenticated) return next();
-  return res.status(401).send({ ok: false, error: 'unauthorized' });
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(healthUrl, { method: service.healthMethod || 'GET', signal: controller.signal });
+    const text = service.healthMethod === 'HEAD' ? '' : await response.text();
+    const latencyMs = Date.now() - started;
+    let info;
+    try {
+      if (text) info = JSON.parse(text);
+    } catch (err) {
+      // plain-text health endpoints are fine unless an assertion needs JSON
+    }
+    const result = { ok: true, status: response.status, latencyMs };
+    if (info !== undefined) result.info = info;
+
+    if (!expected.some(([from, to]) => response.status >= from && response.status <= to)) {
+      return { ...result, ok: false, error: `Unexpected status ${response.status} (expected ${service.healthExpectedStatus})` };
+    }
+    if (assertion.length) {
+      if (info === undefined) return { ...result, ok: false, error: 'Response is not JSON' };
+      const failure = evaluateHealthAssertion(assertion, info);
+      if (failure) return { ...result, ok: false, error: `Assertion failed: ${failure}` };
+    }
+    return result;
+  } catch (err) {
+    const error = controller.signal.aborted ? `Timed out after ${timeoutMs}ms` : describeNetworkError(err);
+    return { ok: false, error, latencyMs: null };
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
-// Admin API: list services
-app.get('/admin/services', requireAuth, (req, res) => {
-  res.json(loadServices());
-});
+async function resolveTargetHost(hostname, timeoutMs) {
+  const started = Date.now();
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let timer;
+  try {
+    const addresses = await Promise.race([
+      dns.promises.lookup(host, { all: true }),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('DNS lookup timed out'), { code: 'ETIMEDOUT' })), timeoutMs);
+      }),
+    ]);
+    return { ok: true, addresses: addresses.map((entry) => entry.address), ms: Date.now() - started };
+  } catch (err) {
+    return { ok: false, addresses: [], ms: Date.now() - started, error: describeNetworkError(Object.assign(err, { hostname: host })) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-// Add service: { name, target, prefix }
-app.post('/admin/services', requireAuth, (req, res) => {
-  const body = req.body || {};
-  if (!body.name || !body.target) {
-    return res.status(400).json({ ok: false, error: 'missing fields' });
+async function fetchServiceManifest(target, manifestPath, timeoutMs) {
+  const url = new URL(manifestPath, target).toString();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { headers: { accept: 'application/json' }, signal: controller.signal });
+    if (response.status === 404) return { found: false, url };
+    if (!response.ok) return { found: false, url, error: `Unexpected status ${response.status}` };
+    const data = await response.json();
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { found: false, url, error: 'Manifest is not a JSON object' };
+    const manifest = { found: true, url };
+    ['displayName', 'description', 'logo', 'version'].forEach((key) => {
+      if (typeof data[key] === 'string' && data[key].trim()) manifest[key] = data[key].trim().slice(0, 1000);
+    });
+    return manifest;
+  } catch (err) {
+    const error = controller.signal.aborted ? `Timed out after ${timeoutMs}ms` : err instanceof SyntaxError ? 'Manifest is not valid JSON' : describeNetworkError(err);
+    return { found: false, url, error };
+  } finally {
+    clearTimeout(timer);
   }
+}
 
-  const list = loadServices();
-  if (list.find((s) => s.name === body.name)) {
-    return res.status(400).json({ ok: false, error: 'exists' });
+// Dry run for one target before it is saved: DNS, the health check the hub
+// would run, and the optional manifest. Only DNS and health decide `ok`.
+async function testServiceTarget(service, target, manifestPath = SERVICE_MANIFEST_PATH) {
+  const result = { target, ok: false, error: null, dns: null, health: null, manifest: null };
+  if (!isProxyTarget(target)) {
+    result.error = 'Not an http:// or https:// URL';
+    return result;
   }
+  const url = new URL(target);
+  result.dns = await resolveTargetHost(url.hostname, service.healthTimeoutMs);
+  if (!result.dns.ok) {
+    result.error = result.dns.error;
+    return result;
+  }
+  // with health checks off any answer from the root proves the target is reachable
+  const probe = service.healthDisabled
+    ? { ...service, healthPath: '/', healthMethod: 'GET', healthExpectedStatus: '100-599', healthAssert: '' }
+    : service;
+  const health = await checkServiceHealth(probe, target);
+  result.health = {
+    ok: health.ok,
+    url: new URL(probe.healthPath || DEFAULT_HEALTH_PATH, target).toString(),
+    status: health.status || null,
+    latencyMs: health.latencyMs,
+    error: health.error || null,
+  };
+  result.ok = health.ok;
+  result.error = health.error || null;
+  if (health.ok) result.manifest = await fetchServiceManifest(target, manifestPath, service.healthTimeoutMs);
+  return result;
+}
 
-  const service = normalizeService({
-    name: body.name,
-    target: body.target,
-    prefix: body.prefix,
-    displayName: body.displayName,
-    description: body.description,
-    logo: body.logo,
+function recordHealthResult(service, result) {
+  const now = Date.now();
+  const previous = healthLatest.get(service.name);
+  const changed = !previous || typeof previous.ok !== 'boolean' || previous.ok !== result.ok;
+  const lastChange = changed ? now : previous.lastChange;
+  const entry = { t: now, ok: result.ok, ms: result.latencyMs };
+
+  if (!healthHistory.has(service.name)) healthHistory.set(service.name, []);
+  const list = healthHistory.get(service.name);
+  list.push(entry);
+  const cutoff = now - HEALTH_RETENTION_MS;
+  while (list.length && list[0].t < cutoff) list.shift();
+
+  const latest = { ...result, checkedAt: now, lastChange };
+  healthLatest.set(service.name, latest);
+
+  const line = { name: service.name, ...entry };
+  if (changed) line.lastChange = lastChange;
+  fs.appendFile(HEALTH_HISTORY_FILE, JSON.stringify(line) + '\n', (err) => {
+    if (err) console.warn('[hub] Failed to append health history', err.message);
   });
 
-  if (!service) {
-    return res.status(400).json({ ok: false, error: 'invalid service payload' });
-  }
+  healthEvents.emit('check', service, latest, previous);
+  if (changed) healthEvents.emit('change', service, latest, previous);
+}
 
-  list.push(service);
-  saveServices(list);
-  // naive: register proxies again (may duplicate in memory but acceptable for minimal admin)
-  registerProxies(app);
-  res.json({ ok: true, service });
-});
+// The first target that is up speaks for the service; when all are down the
+// errors are listed per target.
+function combineTargetResults(service, results) {
+  if (results.length === 1) return results[0];
+  const up = results.find((result) => result.ok);
+  if (up) return up;
+  return {
+    ...results[0],
+    error: results.map((result, index) => `${service.targets[index]}: ${result.error}`).join('; '),
+  };
+}
 
-app.patch('/admin/services/:name', requireAuth, (req, res) => {
-  const list = loadServices();
-  const idx = list.findIndex((s) => s.name === req.params.name);
-  if (idx === -1) {
-    return res.status(404).json({ ok: false, error: 'not_found' });
+function recordTargetHealth(service, results) {
+  const previous = targetHealth.get(service.name) || new Map();
+  const current = new Map();
+  let changed = false;
+  service.targets.forEach((target, index) => {
+    const result = results[index];
+    const before = previous.get(target);
+    if (before && before.ok !== result.ok) {
+      changed = true;
+      console.log(`[hub] Target ${target} of ${service.name} is ${result.ok ? 'up' : 'down'}`);
+    }
+    current.set(target, { ok: result.ok, latencyMs: result.latencyMs, checkedAt: Date.now(), error: result.error || null });
+  });
+  targetHealth.set(service.name, current);
+  return changed;
+}
+
+async function runHealthCheck(service) {
+  if (healthInFlight.has(service.name)) return;
+  healthInFlight.add(service.name);
+  try {
+    const results = await Promise.all(service.targets.map((target) => checkServiceHealth(service, target)));
+    // the service may have been removed while the request was in flight
+    if (!healthTimers.has(service.name)) return;
+    const targetChanged = service.targets.length > 1 && recordTargetHealth(service, results);
+    recordHealthResult(service, combineTargetResults(service, results));
+    if (targetChanged) statusEvents.emit('service', service.name);
+  } finally {
+    healthInFlight.delete(service.name);
   }
+}
 
-  const payload = { ...list[idx] };
-  const body = req.body || {};
-  const fields = ['displayName', 'description', 'logo', 'target', 'prefix'];
+// Everything the poller closes over: a change to any of these restarts it.
+function healthScheduleKey(service) {
+  return JSON.stringify([
+    service.targets,
+    service.healthInterval,
+    service.healthPath,
+    service.healthMethod,
+    service.healthTimeoutMs,
+    service.healthExpectedStatus,
+    service.healthAssert,
+    service.healthDisabled,
+  ]);
+}
 
-  fields.forEach((field) => {
-    if (Object.prototype.hasOwnProperty.call(body, field)) {
-      const value = body[field];
-      if (field === 'logo' && (value === null || value === '')) {
-        payload.logo = null;
-      } else if (typeof value === 'string') {
-        payload[field] = value;
-      }
+function scheduleHealthChecks(services) {
+  const list = Array.isArray(services) ? services : loadServices();
+  const byName = new Map(list.map((service) => [service.name, service]));
+
+  healthTimers.forEach((entry, name) => {
+    const service = byName.get(name);
+    if (!service || healthScheduleKey(service) !== entry.key) {
+      clearInterval(entry.timer);
+      healthTimers.delete(name);
+      targetHealth.delete(name);
     }
   });
 
-  const normalized = normalizeService(payload);
-  if (!normalized) {
-    return res.status(400).json({ ok: false, error: 'invalid update' });
-  }
+  list.forEach((service) => {
+    if (service.healthDisabled || healthTimers.has(service.name)) return;
+    const timer = setInterval(() => runHealthCheck(service), service.healthInterval * 1000);
+    timer.unref();
+    healthTimers.set(service.name, { timer, key: healthScheduleKey(service) });
+    runHealthCheck(service);
+  });
+}
+
+function uptimeSince(list, since) {
+  let total = 0;
+  let up = 0;
+  for (let i = list.length - 1; i >= 0 && list[i].t >= since; i -= 1) {
+    total += 1;
+    if (list[i].ok) up += 1;
+  }
+  return total ? Math.round((up / total) * 10000) / 100 : null;
+}
+
+function latencyStats(list, since) {
+  const values = [];
+  for (let i = list.length - 1; i >= 0 && list[i].t >= since; i -= 1) {
+    if (list[i].ok && Number.isFinite(list[i].ms)) values.push(list[i].ms);
+  }
+  if (!values.length) return { avg: null, p95: null, min: null, max: null };
+  values.sort((a, b) => a - b);
+  const sum = values.reduce((acc, value) => acc + value, 0);
+  return {
+    avg: Math.round(sum / values.length),
+    p95: values[Math.min(values.length - 1, Math.ceil(values.length * 0.95) - 1)],
+    min: values[0],
+    max: values[values.length - 1],
+  };
+}
+
+function summarizeHealth(service) {
+  const list = healthHistory.get(service.name) || [];
+  const latest = healthLatest.get(service.name) || null;
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const summary = {
+    ok: Boolean(latest && latest.ok),
+    checkedAt: latest && latest.checkedAt ? new Date(latest.checkedAt).toISOString() : null,
+    lastChange: latest && latest.lastChange ? new Date(latest.lastChange).toISOString() : null,
+    uptime: {
+      '24h': uptimeSince(list, now - day),
+      '7d': uptimeSince(list, now - 7 * day),
+      '30d': uptimeSince(list, now - 30 * day),
+    },
+    latency: { last: latest ? latest.latencyMs : null, ...latencyStats(list, now - day) },
+    history: list.slice(-HEALTH_SPARKLINE_POINTS).map((entry) => ({ t: entry.t, ok: entry.ok, ms: entry.ms })),
+  };
+  if (service.healthDisabled) {
+    // no health endpoint: neither up nor down
+    summary.ok = null;
+    summary.disabled = true;
+  } else if (!latest || !latest.checkedAt) {
+    summary.pending = true;
+  } else {
+    if (latest.status !== undefined) summary.status = latest.status;
+    if (latest.error) summary.error = latest.error;
+    if (latest.info !== undefined) summary.info = latest.info;
+  }
+  return summary;
+}
+
+loadHealthHistory();
+compactHealthHistory();
+setInterval(compactHealthHistory, 6 * 60 * 60 * 1000).unref();
+if (RUN_AS_SERVER) scheduleHealthChecks();
+
+// Status-change notifications.
+// Channels live in data/notifications.json (they carry SMTP credentials, so they
+// stay out of config.json). Each channel debounces changes and suppresses
+// alerts while a service is flapping, then reports the settled state.
+const NOTIFICATION_TYPES = new Set(['webhook', 'email']);
+const notificationState = new Map(); // `${channelId}:${serviceName}` -> state
+
+function normalizeNotificationChannel(channel) {
+  if (!channel || typeof channel !== 'object') return null;
+  const type = typeof channel.type === 'string' ? channel.type.trim().toLowerCase() : '';
+  if (!NOTIFICATION_TYPES.has(type)) return null;
+  const idRaw = typeof channel.id === 'string' ? channel.id.trim() : '';
+  const nameRaw = typeof channel.name === 'string' ? channel.name.trim() : '';
+  const normalized = {
+    id: idRaw || crypto.randomUUID(),
+    type,
+    name: nameRaw || type,
+    enabled: channel.enabled !== false,
+    debounceSeconds: Math.round(clamp(channel.debounceSeconds === undefined ? 60 : channel.debounceSeconds, 0, 3600)),
+    flapThreshold: Math.round(clamp(channel.flapThreshold === undefined ? 4 : channel.flapThreshold, 2, 50)),
+    flapWindowMinutes: Math.round(clamp(channel.flapWindowMinutes === undefined ? 15 : channel.flapWindowMinutes, 1, 1440)),
+    notifyRecovery: channel.notifyRecovery !== false,
+  };
+
+  if (type === 'webhook') {
+    const url = typeof channel.url === 'string' ? channel.url.trim() : '';
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    } catch (err) {
+      return null;
+    }
+    normalized.url = url;
+    normalized.secret = typeof channel.secret === 'string' ? channel.secret.trim() : '';
+    return normalized;
+  }
+
+  const host = typeof channel.host === 'string' ? channel.host.trim() : '';
+  const to = typeof channel.to === 'string' ? channel.to.trim() : '';
+  if (!host || !to) return null;
+  normalized.host = host;
+  normalized.port = Math.round(clamp(channel.port === undefined || channel.port === '' ? 587 : channel.port, 1, 65535));
+  normalized.secure = channel.secure === true || channel.secure === 'true';
+  normalized.user = typeof channel.user === 'string' ? channel.user.trim() : '';
+  normalized.pass = typeof channel.pass === 'string' ? channel.pass : '';
+  normalized.from = typeof channel.from === 'string' && channel.from.trim() ? channel.from.trim() : `hub@${host}`;
+  normalized.to = to;
+  return normalized;
+}
+
+function loadNotificationChannels() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, 'utf8'));
+    const list = Array.isArray(raw) ? raw : (raw && Array.isArray(raw.channels) ? raw.channels : []);
+    return list.map(normalizeNotificationChannel).filter(Boolean);
+  } catch (err) {
+    return [];
+  }
+}
+
+function saveNotificationChannels(list) {
+  const normalized = list.map(normalizeNotificationChannel).filter(Boolean);
+  fs.writeFileSync(NOTIFICATIONS_FILE, JSON.stringify({ channels: normalized }, null, 2));
+  // forget debounce/flap state of channels that no longer exist
+  const ids = new Set(normalized.map((channel) => channel.id));
+  notificationState.forEach((state, key) => {
+    if (!ids.has(key.split(':')[0])) {
+      clearTimeout(state.timer);
+      notificationState.delete(key);
+    }
+  });
+  return normalized;
+}
+
+// Channel as returned to the admin UI: SMTP passwords and webhook secrets never leave the hub.
+function publicNotificationChannel(channel) {
+  if (channel.type === 'webhook') {
+    const { secret, ...rest } = channel;
+    return { ...rest, hasSecret: Boolean(secret) };
+  }
+  const { pass, ...rest } = channel;
+  return { ...rest, hasPassword: Boolean(pass) };
+}
+
+function buildNotificationMessage(event, service, status) {
+  const config = loadConfig();
+  const label = service.displayName || service.name;
+  const subjects = {
+    down: `[${config.siteTitle}] ${label} is DOWN`,
+    recovery: `[${config.siteTitle}] ${label} has recovered`,
+    flapping: `[${config.siteTitle}] ${label} is flapping`,
+    test: `[${config.siteTitle}] Test notification`,
+  };
+  const details = status && status.error ? status.error : (status && status.status ? `HTTP ${status.status}` : '');
+  const texts = {
+    down: `${label} (${service.prefix}) failed its health check${details ? `: ${details}` : ''}.`,
+    recovery: `${label} (${service.prefix}) is passing its health check again.`,
+    flapping: `${label} (${service.prefix}) changed state repeatedly. Alerts are paused until it settles.`,
+    test: 'This is a test notification from the Linart hub admin panel.',
+  };
+  return {
+    event,
+    subject: subjects[event],
+    text: texts[event],
+    payload: {
+      event,
+      message: texts[event],
+      at: new Date().toISOString(),
+      hub: { title: config.siteTitle },
+      service: service.name
+        ? { name: service.name, displayName: label, prefix: service.prefix, target: service.target }
+        : null,
+      status: status
+        ? {
+            ok: Boolean(status.ok),
+            status: status.status,
+            error: status.error,
+            latencyMs: status.latencyMs,
+            checkedAt: status.checkedAt ? new Date(status.checkedAt).toISOString() : null,
+            lastChange: status.lastChange ? new Date(status.lastChange).toISOString() : null,
+          }
+        : null,
+    },
+  };
+}
+
+async function sendNotification(channel, message) {
+  if (channel.type === 'webhook') {
+    const body = JSON.stringify(message.payload);
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'linart-hub' };
+    if (channel.secret) {
+      headers['X-Hub-Signature-256'] = 'sha256=' + crypto.createHmac('sha256', channel.secret).update(body).digest('hex');
+    }
+    const response = await fetch(channel.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+    return;
+  }
+
+  const transport = nodemailer.createTransport({
+    host: channel.host,
+    port: channel.port,
+    secure: channel.secure,
+    auth: channel.user ? { user: channel.user, pass: channel.pass } : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 10000,
+  });
+  try {
+    await transport.sendMail({
+      from: channel.from,
+      to: channel.to,
+      subject: message.subject,
+      text: `${message.text}\n\n${JSON.stringify(message.payload, null, 2)}`,
+    });
+  } finally {
+    transport.close();
+  }
+}
+
+function deliverNotification(channel, message) {
+  sendNotification(channel, message).catch((err) => {
+    console.warn(`[hub] Notification via ${channel.name} (${channel.type}) failed:`, err.message);
+  });
+}
+
+// Planned downtime should not page anyone; the poller's service object may be
+// older than the maintenance switch, so look at the saved list.
+function inMaintenance(service) {
+  return loadServices().some((item) => item.name === service.name && item.maintenance);
+}
+
+// Decide what (if anything) a channel should be told once a service has been
+// quiet for the debounce period, or for the flap window after flapping.
+function settleNotification(channel, service, state) {
+  state.timer = null;
+  if (inMaintenance(service)) return;
+  const cutoff = Date.now() - channel.flapWindowMinutes * 60 * 1000;
+  state.changes = state.changes.filter((t) => t >= cutoff);
+  if (state.flapping && state.changes.length >= channel.flapThreshold) return;
+  state.flapping = false;
+
+  const latest = healthLatest.get(service.name);
+  if (!latest || typeof latest.ok !== 'boolean') return;
+  if (!latest.ok && state.notified !== 'down') {
+    state.notified = 'down';
+    deliverNotification(channel, buildNotificationMessage('down', service, latest));
+  } else if (latest.ok && state.notified === 'down') {
+    state.notified = 'up';
+    if (channel.notifyRecovery) deliverNotification(channel, buildNotificationMessage('recovery', service, latest));
+  }
+}
+
+healthEvents.on('check', (service, latest) => {
+  incrementMetric(healthChecksMetric, { service: service.name, result: latest.ok ? 'ok' : 'fail' });
+});
+
+healthEvents.on('change', (service) => {
+  statusEvents.emit('service', service.name);
+});
+
+healthEvents.on('change', (service, latest, previous) => {
+  // the first check after a service is added has nothing to compare against
+  if (!previous || typeof previous.ok !== 'boolean') return;
+  if (inMaintenance(service)) return;
+
+  loadNotificationChannels()
+    .filter((channel) => channel.enabled)
+    .forEach((channel) => {
+      const key = `${channel.id}:${service.name}`;
+      if (!notificationState.has(key)) {
+        notificationState.set(key, { timer: null, changes: [], flapping: false, notified: previous.ok ? 'up' : 'down' });
+      }
+      const state = notificationState.get(key);
+      const now = Date.now();
+      const windowMs = channel.flapWindowMinutes * 60 * 1000;
+      state.changes = state.changes.filter((t) => t >= now - windowMs);
+      state.changes.push(now);
+      clearTimeout(state.timer);
+
+      if (!state.flapping && state.changes.length >= channel.flapThreshold) {
+        state.flapping = true;
+        deliverNotification(channel, buildNotificationMessage('flapping', service, latest));
+      }
+
+      const delay = state.flapping ? windowMs : channel.debounceSeconds * 1000;
+      state.timer = setTimeout(() => settleNotification(channel, service, state), delay);
+      state.timer.unref();
+    });
+});
+
+// Health and circuit state of each target. A service with a single target has
+// no separate per-target checks, so its own latest result is used.
+function describeTargets(service) {
+  const health = targetHealth.get(service.name);
+  const breakers = circuitBreakers.get(service.name);
+  const single = service.targets.length === 1 ? healthLatest.get(service.name) : null;
+  return service.targets.map((target) => {
+    const latest = single || (health && health.get(target));
+    const checked = !service.healthDisabled && latest && typeof latest.ok === 'boolean';
+    return {
+      url: target,
+      ok: checked ? latest.ok : null,
+      latencyMs: checked ? latest.latencyMs : null,
+      error: checked && !latest.ok ? latest.error || null : null,
+      circuit: describeBreaker(breakers && breakers.get(target)),
+    };
+  });
+}
+
+// One entry of /api/status `services`; the status stream sends the same shape.
+function describeServiceStatus(service, locale, defaultLocale) {
+  return {
+    name: service.name,
+    ...localizeFields(service, TRANSLATABLE_SERVICE_FIELDS, locale, defaultLocale),
+    prefix: service.prefix,
+    logo: service.logo,
+    target: service.target,
+    targets: describeTargets(service),
+    loadBalancing: service.loadBalancing,
+    healthInterval: service.healthInterval,
+    maintenance: service.maintenance ? { message: service.maintenanceMessage, until: service.maintenanceUntil } : null,
+    circuit: describeCircuit(service.name),
+    ...summarizeHealth(service),
+  };
+}
+
+// Aggregated status API, answered from the background health history
+app.get('/api/status', (req, res) => {
+  const config = loadConfig();
+  const services = loadServices();
+  const locale = resolveLocale(req, config);
+  const results = services.map((service) => describeServiceStatus(service, locale, config.defaultLocale));
+
+  const imageUrls = [config.siteLogo, config.welcomeImage]
+    .concat(config.socialLinks.map((link) => link.icon), services.map((service) => service.logo));
+  const previewTheme = previewThemeValues(req.query.preview);
+  const theme = previewTheme || config;
+
+  res.set('Vary', 'Accept-Language');
+  if (previewTheme) res.set('Cache-Control', 'no-store');
+  res.json({
+    services: results,
+    images: publicImageVariants(imageUrls),
+    themePreview: Boolean(previewTheme),
+    locale,
+    locales: SUPPORTED_LOCALES,
+    defaultLocale: config.defaultLocale,
+    hub: {
+      now: new Date().toISOString(),
+      siteLogo: config.siteLogo,
+      ...localizeFields(config, TRANSLATABLE_CONFIG_FIELDS, locale, config.defaultLocale),
+      contactWhatsapp: config.contactWhatsapp,
+      heroVideo: config.heroVideo,
+      heroVideoBlur: config.heroVideoBlur,
+      heroOverlayColor: theme.heroOverlayColor,
+      heroOverlayOpacity: theme.heroOverlayOpacity,
+      pageBackgroundColor: theme.pageBackgroundColor,
+      pageBackgroundOpacity: theme.pageBackgroundOpacity,
+      surfaceColor: theme.surfaceColor,
+      surfaceOpacity: theme.surfaceOpacity,
+      welcomeImage: config.welcomeImage,
+      socialLinks: config.socialLinks.map((link) => ({
+        id: link.id,
+        url: link.url,
+        icon: link.icon,
+        ...localizeFields(link, TRANSLATABLE_LINK_FIELDS, locale, config.defaultLocale),
+      })),
+    },
+  });
+});
+
+// Live status for the landing and status pages. The stream carries changes
+// only: a `service` event with the service's /api/status entry when it goes up
+// or down or its circuit opens or closes, and `reload` when services.json or
+// config.json was saved and the page should fetch /api/status again. Pages
+// fetch /api/status themselves whenever the stream (re)connects.
+const STATUS_STREAM_MAX_CLIENTS = 200;
+const STATUS_STREAM_PING_MS = 25 * 1000;
+const statusStreamClients = new Set(); // { res, locale }
+let statusReloadPending = false;
+
+function sendStatusEvent(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+statusEvents.on('service', (name) => {
+  if (!statusStreamClients.size) return;
+  const service = loadServices().find((item) => item.name === name);
+  if (!service) return;
+  const { defaultLocale } = loadConfig();
+  statusStreamClients.forEach((client) => {
+    sendStatusEvent(client, 'service', describeServiceStatus(service, client.locale, defaultLocale));
+  });
+});
+
+// Saving translations or a bundle writes both files; clients refetch once.
+statusEvents.on('reload', () => {
+  if (!statusStreamClients.size || statusReloadPending) return;
+  statusReloadPending = true;
+  setImmediate(() => {
+    statusReloadPending = false;
+    statusStreamClients.forEach((client) => sendStatusEvent(client, 'reload', { at: new Date().toISOString() }));
+  });
+});
+
+// keeps idle connections open through proxies that drop silent ones
+setInterval(() => {
+  statusStreamClients.forEach((client) => client.res.write(': ping\n\n'));
+}, STATUS_STREAM_PING_MS).unref();
+
+app.get('/api/status/stream', (req, res) => {
+  if (statusStreamClients.size >= STATUS_STREAM_MAX_CLIENTS) {
+    res.set('Retry-After', '30');
+    return res.status(503).json({ ok: false, error: 'too_many_streams' });
+  }
+
+  const client = { res, locale: resolveLocale(req, loadConfig()) };
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no',
+    Vary: 'Accept-Language',
+  });
+  res.flushHeaders();
+  // EventSource waits this long before reconnecting after the hub restarts
+  res.write('retry: 5000\n\n');
+  statusStreamClients.add(client);
+  req.on('close', () => statusStreamClients.delete(client));
+});
+
+// Admin: login page
+app.get('/admin', (req, res) => {
+  if (getSessionUser(req)) return res.sendFile(path.join(__dirname, 'static', 'admin.html'));
+  return res.sendFile(path.join(__dirname, 'static', 'admin-login.html'));
+});
+
+// Only same-site absolute paths are accepted as post-login destinations.
+function safeRedirectPath(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) {
+    return '/admin';
+  }
+  return value;
+}
+
+// Progressive lockout for the login form: every account and every client IP gets
+// a few free failures, after which each further failure doubles the wait
+// (1 minute up to 1 hour). Counters are kept in memory and forgotten after a
+// quiet day. A successful sign-in only clears its account's counter: signing in
+// to one's own account must not reset an address that guesses other passwords.
+const LOGIN_FREE_FAILURES = { account: 5, ip: 20 };
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// How long a correct password waits for its second factor.
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+const loginFailures = new Map(); // 'account:<name>' | 'ip:<address>' -> { kind, count, lockedUntil, lastFailureAt }
+
+function loginThrottleKeys(req, username) {
+  return [
+    { kind: 'ip', key: `ip:${req.ip}` },
+    { kind: 'account', key: `account:${username}` },
+  ];
+}
+
+// Seconds until the caller may try again, 0 when not locked out.
+function loginRetryAfter(keys) {
+  const now = Date.now();
+  return keys.reduce((longest, { key }) => {
+    const entry = loginFailures.get(key);
+    if (!entry || entry.lockedUntil <= now) return longest;
+    return Math.max(longest, Math.ceil((entry.lockedUntil - now) / 1000));
+  }, 0);
+}
+
+function recordLoginFailure(keys) {
+  const now = Date.now();
+  incrementMetric(adminLoginsMetric, { result: 'failure' });
+  loginFailures.forEach((entry, key) => {
+    if (now - entry.lastFailureAt > LOGIN_FAILURE_WINDOW_MS) loginFailures.delete(key);
+  });
+  keys.forEach(({ kind, key }) => {
+    const entry = loginFailures.get(key) || { kind, count: 0, lockedUntil: 0, lastFailureAt: 0 };
+    entry.count += 1;
+    entry.lastFailureAt = now;
+    const excess = entry.count - LOGIN_FREE_FAILURES[kind];
+    if (excess > 0) {
+      const wait = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (excess - 1), LOGIN_LOCKOUT_MAX_MS);
+      entry.lockedUntil = now + wait;
+      console.warn(`[hub] Login locked for ${key} after ${entry.count} failures (${Math.round(wait / 1000)}s)`);
+    }
+    loginFailures.set(key, entry);
+  });
+}
+
+// Called after a successful sign-in; IP counters are left to expire.
+function clearLoginFailures(keys) {
+  keys.filter(({ kind }) => kind === 'account').forEach(({ key }) => loginFailures.delete(key));
+}
+
+function rejectThrottledLogin(res, retryAfter) {
+  incrementMetric(adminLoginsMetric, { result: 'locked' });
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).send(`Too many failed attempts. Try again in ${retryAfter} seconds.`);
+}
+
+function startAdminSession(req, res, user, { next, mustChangePassword }) {
+  return req.session.regenerate((err) => {
+    if (err) {
+      console.error('[hub] Failed to start admin session', err);
+      return res.status(500).send('Session error');
+    }
+    incrementMetric(adminLoginsMetric, { result: 'success' });
+    req.session.authenticated = true;
+    req.session.username = user.username;
+    req.session.mustChangePassword = mustChangePassword;
+    req.session.createdAt = Date.now();
+    req.session.lastSeenAt = Date.now();
+    req.session.ip = req.ip;
+    req.session.userAgent = String(req.get('user-agent') || '').slice(0, 300);
+    return res.redirect(mustChangePassword ? '/admin' : next);
+  });
+}
+
+function pendingTwoFactor(req) {
+  const pending = req.session && req.session.twoFactor;
+  return pending && pending.expiresAt > Date.now() ? pending : null;
+}
+
+app.post('/admin/login', async (req, res) => {
+  const pass = req.body && req.body.password;
+  // the landing page modal and older scripts only send a password
+  const username = normalizeUsername((req.body && req.body.username) || 'admin');
+  if (typeof pass !== 'string' || !pass.length || !username) {
+    return res.status(403).send('Forbidden');
+  }
+  const throttleKeys = loginThrottleKeys(req, username);
+  const retryAfter = loginRetryAfter(throttleKeys);
+  if (retryAfter) return rejectThrottledLogin(res, retryAfter);
+
+  const user = findAdminUser(username);
+  let ok = false;
+  try {
+    ok = Boolean(user && !user.disabled && (await bcrypt.compare(pass, user.passwordHash)));
+  } catch (err) {
+    console.warn('[hub] Failed to compare admin password', err);
+  }
+  if (!ok) {
+    recordLoginFailure(throttleKeys);
+    return res.status(403).send('Forbidden');
+  }
+
+  const next = safeRedirectPath(req.body && req.body.next);
+  const mustChangePassword = pass === FALLBACK_ADMIN_PASSWORD;
+  if (!user.totpSecret) {
+    clearLoginFailures(throttleKeys);
+    return startAdminSession(req, res, user, { next, mustChangePassword });
+  }
+  return req.session.regenerate((err) => {
+    if (err) {
+      console.error('[hub] Failed to start admin session', err);
+      return res.status(500).send('Session error');
+    }
+    req.session.twoFactor = { username: user.username, next, mustChangePassword, expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS };
+    return res.redirect('/admin/login/2fa');
+  });
+});
+
+app.get('/admin/login/2fa', (req, res) => {
+  if (!pendingTwoFactor(req)) return res.redirect('/admin');
+  return res.sendFile(path.join(__dirname, 'static', 'admin-2fa.html'));
+});
+
+app.post('/admin/login/2fa', async (req, res) => {
+  const pending = pendingTwoFactor(req);
+  if (!pending) return res.redirect('/admin');
+  const throttleKeys = loginThrottleKeys(req, pending.username);
+  const retryAfter = loginRetryAfter(throttleKeys);
+  if (retryAfter) return rejectThrottledLogin(res, retryAfter);
+
+  const user = findAdminUser(pending.username);
+  const via = user && !user.disabled ? await verifySecondFactor(user, req.body && req.body.code) : null;
+  if (!via) {
+    recordLoginFailure(throttleKeys);
+    return res.status(403).send('Forbidden');
+  }
+  clearLoginFailures(throttleKeys);
+  if (via === 'recovery') console.warn(`[hub] ${user.username} signed in with a recovery code`);
+  return startAdminSession(req, res, user, pending);
+});
+
+app.post('/admin/logout', (req, res) => {
+  res.clearCookie(SESSION_COOKIE);
+  if (!req.session) return res.json({ ok: true });
+  req.session.destroy(() => res.json({ ok: true }));
+});
+
+// Resolve the signed-in account on every request so that role changes and
+// disabled accounts take effect without waiting for the session to expire.
+function getSessionUser(req) {
+  if (!req.session || !req.session.authenticated || !req.session.username) return null;
+  const user = findAdminUser(req.session.username);
+  if (!user || user.disabled) return null;
+  return user;
+}
+
+// Routes a session may use while it still has to replace the fallback password.
+const PASSWORD_CHANGE_PATHS = new Set(['/admin/me', '/admin/password']);
+
+function requireAuth(req, res, next){
+  const user = getSessionUser(req);
+  if (!user) return res.status(401).send({ ok: false, error: 'unauthorized' });
+  req.adminUser = user;
+  if (req.session.mustChangePassword && !PASSWORD_CHANGE_PATHS.has(req.path)) {
+    return res.status(403).json({ ok: false, error: 'password_change_required' });
+  }
+  return next();
+}
+
+// Personal API tokens for scripts. The secret is shown once on creation and only
+// its bcrypt hash is stored; the id embedded in the token selects the record so a
+// request costs a single bcrypt comparison.
+const API_TOKEN_SCOPES = ['services:read', 'services:write', 'config:read', 'config:write', 'uploads:read', 'uploads:write', 'metrics:read'];
+const API_TOKEN_PATTERN = /^hub_([a-f0-9]{12})_([A-Za-z0-9_-]{32})$/;
+// lastUsedAt is persisted at most this often per token
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+function normalizeApiToken(token) {
+  if (!token || typeof token !== 'object') return null;
+  if (typeof token.id !== 'string' || !/^[a-f0-9]{12}$/.test(token.id)) return null;
+  if (typeof token.hash !== 'string' || !token.hash) return null;
+  const scopes = Array.isArray(token.scopes) ? token.scopes.filter((scope) => API_TOKEN_SCOPES.includes(scope)) : [];
+  const name = typeof token.name === 'string' && token.name.trim() ? token.name.trim().slice(0, 80) : token.id;
+  return {
+    id: token.id,
+    name,
+    hash: token.hash,
+    scopes: [...new Set(scopes)],
+    createdBy: typeof token.createdBy === 'string' ? token.createdBy : null,
+    createdAt: typeof token.createdAt === 'string' ? token.createdAt : new Date().toISOString(),
+    expiresAt: typeof token.expiresAt === 'string' ? token.expiresAt : null,
+    lastUsedAt: typeof token.lastUsedAt === 'string' ? token.lastUsedAt : null,
+    lastUsedIp: typeof token.lastUsedIp === 'string' ? token.lastUsedIp : null,
+  };
+}
+
+function loadApiTokens() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(API_TOKENS_FILE, 'utf8'));
+    const list = Array.isArray(raw) ? raw : (raw && Array.isArray(raw.tokens) ? raw.tokens : []);
+    return list.map(normalizeApiToken).filter(Boolean);
+  } catch (err) {
+    return [];
+  }
+}
+
+function saveApiTokens(list) {
+  const normalized = list.map(normalizeApiToken).filter(Boolean);
+  fs.writeFileSync(API_TOKENS_FILE, JSON.stringify({ tokens: normalized }, null, 2));
+  apiTokens = normalized;
+  return normalized;
+}
+
+function publicApiToken(token) {
+  const { hash, ...rest } = token;
+  return { ...rest, expired: Boolean(token.expiresAt && Date.parse(token.expiresAt) <= Date.now()) };
+}
+
+let apiTokens = loadApiTokens();
+
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+async function verifyApiToken(value) {
+  const match = API_TOKEN_PATTERN.exec(value || '');
+  if (!match) return null;
+  const token = apiTokens.find((item) => item.id === match[1]);
+  if (!token) return null;
+  if (token.expiresAt && Date.parse(token.expiresAt) <= Date.now()) return null;
+  // tokens stop working together with the account that issued them
+  const creator = token.createdBy ? findAdminUser(token.createdBy) : null;
+  if (!creator || creator.disabled || creator.role !== 'owner') return null;
+  const ok = await bcrypt.compare(match[2], token.hash);
+  return ok ? token : null;
+}
+
+function touchApiToken(token, req) {
+  const last = token.lastUsedAt ? Date.parse(token.lastUsedAt) : 0;
+  if (Date.now() - last < API_TOKEN_TOUCH_INTERVAL_MS && token.lastUsedIp === req.ip) return;
+  const lastUsedAt = new Date().toISOString();
+  saveApiTokens(apiTokens.map((item) => (item.id === token.id ? { ...item, lastUsedAt, lastUsedIp: req.ip } : item)));
+}
+
+// Session users need `role`; bearer tokens need `scope`. Routes without a scope
+// are not reachable with a token at all.
+function requireRole(role, scope) {
+  return (req, res, next) => {
+    const bearer = getBearerToken(req);
+    if (bearer) {
+      return verifyApiToken(bearer)
+        .then((token) => {
+          if (!token) return res.status(401).json({ ok: false, error: 'invalid_token' });
+          if (!scope || !token.scopes.includes(scope)) {
+            return res.status(403).json({ ok: false, error: 'insufficient_scope' });
+          }
+          req.apiToken = token;
+          touchApiToken(token, req);
+          return next();
+        })
+        .catch(next);
+    }
+    return requireAuth(req, res, () => {
+      if (roleRank(req.adminUser.role) < roleRank(role)) {
+        return res.status(403).json({ ok: false, error: 'forbidden' });
+      }
+      return next();
+    });
+  };
+}
+
+app.get('/admin/tokens', requireRole('owner'), (req, res) => {
+  res.json({ ok: true, scopes: API_TOKEN_SCOPES, tokens: apiTokens.map(publicApiToken) });
+});
+
+app.post('/admin/tokens', requireRole('owner'), async (req, res) => {
+  const body = req.body || {};
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const scopes = Array.isArray(body.scopes) ? body.scopes.filter((scope) => API_TOKEN_SCOPES.includes(scope)) : [];
+  if (!name) {
+    return res.status(400).json({ ok: false, error: 'missing_name' });
+  }
+  if (!scopes.length) {
+    return res.status(400).json({ ok: false, error: 'missing_scopes' });
+  }
+  let expiresAt = null;
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null && body.expiresInDays !== '') {
+    const days = Number(body.expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > 3650) {
+      return res.status(400).json({ ok: false, error: 'invalid_expiry' });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  try {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const hash = await bcrypt.hash(secret, 10);
+    const token = normalizeApiToken({ id, name, hash, scopes, expiresAt, createdBy: req.adminUser.username });
+    saveApiTokens([...apiTokens, token]);
+    recordAudit(req, { action: 'token.create', target: token.id, after: publicApiToken(token) });
+    // the only time the plain token is ever returned
+    res.json({ ok: true, token: `hub_${id}_${secret}`, info: publicApiToken(token) });
+  } catch (err) {
+    console.error('[hub] Failed to create API token', err);
+    res.status(500).json({ ok: false, error: 'create_failed' });
+  }
+});
+
+app.delete('/admin/tokens/:id', requireRole('owner'), (req, res) => {
+  const tokenId = String(req.params.id || '').trim();
+  const existing = apiTokens.find((token) => token.id === tokenId);
+  if (!existing) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  saveApiTokens(apiTokens.filter((token) => token.id !== tokenId));
+  recordAudit(req, { action: 'token.revoke', target: tokenId, before: publicApiToken(existing) });
+  res.json({ ok: true });
+});
+
+// Audit log of admin changes: one JSON object per line in data/audit.jsonl.
+// Entries are only ever appended; secrets are redacted before they are written.
+const AUDIT_REDACTED_KEYS = new Set(['passwordHash', 'pass', 'secret', 'hash', 'password', 'totpSecret', 'recoveryCodes']);
+
+function redactForAudit(value) {
+  if (Array.isArray(value)) return value.map(redactForAudit);
+  if (value && typeof value === 'object') {
+    const out = {};
+    Object.keys(value).forEach((key) => {
+      out[key] = AUDIT_REDACTED_KEYS.has(key) && value[key] ? '[redacted]' : redactForAudit(value[key]);
+    });
+    return out;
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Flat list of { path, before, after } for every leaf that differs.
+function diffValues(before, after, basePath = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap((key) => diffValues(before[key], after[key], basePath ? `${basePath}.${key}` : key));
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    const changes = [];
+    for (let i = 0; i < length; i += 1) {
+      changes.push(...diffValues(before[i], after[i], `${basePath}[${i}]`));
+    }
+    return changes;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path: basePath || '.', before: before === undefined ? null : before, after: after === undefined ? null : after }];
+}
+
+function describeActor(req) {
+  if (req.apiToken) {
+    return { type: 'token', name: req.apiToken.name, id: req.apiToken.id, createdBy: req.apiToken.createdBy };
+  }
+  if (req.adminUser) return { type: 'user', name: req.adminUser.username };
+  return { type: 'anonymous', name: null };
+}
+
+function recordAudit(req, { action, target = null, before = null, after = null }) {
+  const safeBefore = redactForAudit(before);
+  const safeAfter = redactForAudit(after);
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    actor: describeActor(req),
+    ip: req.ip,
+    method: req.method,
+    endpoint: req.originalUrl.split('?')[0],
+    action,
+    target,
+    before: safeBefore,
+    after: safeAfter,
+    changes: diffValues(safeBefore, safeAfter),
+  };
+  fs.appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n', (err) => {
+    if (err) console.error('[hub] Failed to write audit log', err.message);
+  });
+  return entry;
+}
+
+function loadAuditEntries() {
+  let raw = '';
+  try {
+    raw = fs.readFileSync(AUDIT_LOG_FILE, 'utf8');
+  } catch (err) {
+    return [];
+  }
+  const entries = [];
+  raw.split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      // skip torn lines
+    }
+  });
+  return entries;
+}
+
+function filterAuditEntries(entries, query) {
+  const actor = typeof query.actor === 'string' ? query.actor.trim().toLowerCase() : '';
+  const action = typeof query.action === 'string' ? query.action.trim() : '';
+  const endpoint = typeof query.endpoint === 'string' ? query.endpoint.trim() : '';
+  const text = typeof query.q === 'string' ? query.q.trim().toLowerCase() : '';
+  const from = query.from ? Date.parse(query.from) : NaN;
+  const to = query.to ? Date.parse(query.to) : NaN;
+  return entries.filter((entry) => {
+    if (actor && String(entry.actor && entry.actor.name).toLowerCase() !== actor) return false;
+    if (action && entry.action !== action) return false;
+    if (endpoint && !String(entry.endpoint).startsWith(endpoint)) return false;
+    const at = Date.parse(entry.at);
+    if (Number.isFinite(from) && at < from) return false;
+    if (Number.isFinite(to) && at > to) return false;
+    if (text && !JSON.stringify(entry).toLowerCase().includes(text)) return false;
+    return true;
+  });
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : (typeof value === 'string' ? value : JSON.stringify(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function auditEntriesToCsv(entries) {
+  const header = ['at', 'actor_type', 'actor', 'ip', 'method', 'endpoint', 'action', 'target', 'changes'];
+  const rows = entries.map((entry) => [
+    entry.at,
+    entry.actor && entry.actor.type,
+    entry.actor && entry.actor.name,
+    entry.ip,
+    entry.method,
+    entry.endpoint,
+    entry.action,
+    entry.target,
+    entry.changes,
+  ].map(csvCell).join(','));
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+app.get('/admin/audit', requireRole('owner'), (req, res) => {
+  const entries = filterAuditEntries(loadAuditEntries(), req.query).reverse();
+  const limit = Math.round(clamp(req.query.limit === undefined ? 100 : req.query.limit, 1, 1000));
+  const offset = Math.round(clamp(req.query.offset === undefined ? 0 : req.query.offset, 0, Number.MAX_SAFE_INTEGER));
+  res.json({ ok: true, total: entries.length, entries: entries.slice(offset, offset + limit) });
+});
+
+app.get('/admin/audit/export', requireRole('owner'), (req, res) => {
+  const entries = filterAuditEntries(loadAuditEntries(), req.query);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="hub-audit-${stamp}.csv"`);
+    return res.send(auditEntriesToCsv(entries));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="hub-audit-${stamp}.json"`);
+  return res.json(entries);
+});
+
+const ACCESS_STATUS_FILTER = /^[1-5](\d\d|xx)$/;
+
+// Lines of a file from the last to the first. The file is read in chunks from
+// the end, so a search that is satisfied by recent entries never reads the rest.
+async function* readLinesBackwards(file) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+  } catch (err) {
+    return;
+  }
+  try {
+    let position = (await handle.stat()).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const size = Math.min(64 * 1024, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, position);
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      for (let index = end - 1; index >= 0; index -= 1) {
+        if (buffer[index] !== 0x0a) continue;
+        yield buffer.toString('utf8', index + 1, end);
+        end = index;
+      }
+      rest = buffer.subarray(0, end);
+    }
+    if (rest.length) yield rest.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+// Newest entries first, reading the current file and then the rotated ones
+// until enough matches are found or ACCESS_LOG_SEARCH_MAX_BYTES have been read.
+async function searchAccessLog(query, offset, limit) {
+  const requestId = typeof query.requestId === 'string' ? query.requestId.trim() : '';
+  const service = typeof query.service === 'string' ? query.service.trim() : '';
+  const status = typeof query.status === 'string' ? query.status.trim().toLowerCase() : '';
+  const pathPrefix = typeof query.path === 'string' ? query.path.trim() : '';
+  const matches = [];
+  const files = [ACCESS_LOG_FILE];
+  for (let index = 1; index <= ACCESS_LOG_KEEP_FILES; index += 1) files.push(`${ACCESS_LOG_FILE}.${index}`);
+  let scanned = 0;
+  for (const file of files) {
+    for await (const line of readLinesBackwards(file)) {
+      scanned += line.length + 1;
+      if (scanned > ACCESS_LOG_SEARCH_MAX_BYTES) {
+        return { entries: matches.slice(offset, offset + limit), more: false, truncated: true };
+      }
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        continue;
+      }
+      if (requestId && entry.id !== requestId) continue;
+      if (service && entry.service !== service) continue;
+      if (status && (status.endsWith('xx') ? String(entry.status)[0] !== status[0] : String(entry.status) !== status)) continue;
+      if (pathPrefix && !String(entry.path).startsWith(pathPrefix)) continue;
+      matches.push(entry);
+      // one extra match tells the caller there is more to load
+      if (matches.length > offset + limit) return { entries: matches.slice(offset, offset + limit), more: true, truncated: false };
+    }
+  }
+  return { entries: matches.slice(offset, offset + limit), more: false, truncated: false };
+}
+
+app.get('/admin/access-log', requireRole('owner'), async (req, res) => {
+  if (req.query.status && !ACCESS_STATUS_FILTER.test(String(req.query.status).trim().toLowerCase())) {
+    return res.status(400).json({ ok: false, error: 'invalid_status' });
+  }
+  const limit = Math.round(clamp(req.query.limit === undefined ? 100 : req.query.limit, 1, 1000));
+  const offset = Math.round(clamp(req.query.offset === undefined ? 0 : req.query.offset, 0, Number.MAX_SAFE_INTEGER));
+  res.json({ ok: true, ...(await searchAccessLog(req.query, offset, limit)) });
+});
+
+function publicSession(record, currentHandle) {
+  const sess = record.session;
+  return {
+    id: record.handle,
+    username: sess.username,
+    createdAt: sess.createdAt ? new Date(sess.createdAt).toISOString() : null,
+    lastSeenAt: sess.lastSeenAt ? new Date(sess.lastSeenAt).toISOString() : null,
+    expiresAt: new Date(record.expiresAt).toISOString(),
+    ip: sess.ip || null,
+    userAgent: sess.userAgent || '',
+    current: record.handle === currentHandle,
+  };
+}
+
+function adminSessions() {
+  return sessionStore.list().filter((record) => record.session.authenticated && record.session.username);
+}
+
+// Signs a user out everywhere, e.g. after a password reset; keepHandle spares the caller's own session.
+function revokeUserSessions(username, keepHandle) {
+  adminSessions().forEach((record) => {
+    if (record.session.username === username && record.handle !== keepHandle) sessionStore.remove(record.handle);
+  });
+}
+
+// Everyone sees their own sessions; owners see and can revoke all of them.
+app.get('/admin/sessions', requireAuth, (req, res) => {
+  const currentHandle = FileSessionStore.handle(req.sessionID);
+  const isOwner = req.adminUser.role === 'owner';
+  const sessions = adminSessions()
+    .filter((record) => isOwner || record.session.username === req.adminUser.username)
+    .map((record) => publicSession(record, currentHandle))
+    .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+  res.json({ ok: true, sessions });
+});
+
+app.delete('/admin/sessions/:id', requireAuth, (req, res) => {
+  const record = adminSessions().find((item) => item.handle === req.params.id);
+  if (!record || (req.adminUser.role !== 'owner' && record.session.username !== req.adminUser.username)) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  const revoked = publicSession(record, FileSessionStore.handle(req.sessionID));
+  recordAudit(req, { action: 'session.revoke', target: record.session.username, before: revoked });
+  // the caller's own session has to go through express-session, which would
+  // otherwise save it again at the end of this response
+  if (revoked.current) return req.session.destroy(() => res.json({ ok: true, current: true }));
+  sessionStore.remove(record.handle);
+  res.json({ ok: true, current: false });
+});
+
+// "Sign out everywhere else" for the calling user.
+app.delete('/admin/sessions', requireAuth, (req, res) => {
+  const currentHandle = FileSessionStore.handle(req.sessionID);
+  const others = adminSessions().filter(
+    (record) => record.session.username === req.adminUser.username && record.handle !== currentHandle
+  );
+  others.forEach((record) => sessionStore.remove(record.handle));
+  if (others.length) {
+    recordAudit(req, { action: 'session.revoke-others', target: req.adminUser.username, after: { revoked: others.length } });
+  }
+  res.json({ ok: true, revoked: others.length });
+});
+
+app.get('/admin/me', requireAuth, (req, res) => {
+  res.json({ ok: true, user: publicAdminUser(req.adminUser), mustChangePassword: Boolean(req.session.mustChangePassword) });
+});
+
+app.get('/admin/users', requireRole('owner'), (req, res) => {
+  res.json({ ok: true, users: adminStore.users.map(publicAdminUser) });
+});
+
+app.post('/admin/users', requireRole('owner'), async (req, res) => {
+  const body = req.body || {};
+  const username = normalizeUsername(body.username);
+  const password = typeof body.password === 'string' ? body.password : '';
+  const role = ADMIN_ROLES.includes(body.role) ? body.role : 'viewer';
+  if (!username) {
+    return res.status(400).json({ ok: false, error: 'invalid_username' });
+  }
+  if (findAdminUser(username)) {
+    return res.status(400).json({ ok: false, error: 'exists' });
+  }
+  if (password.length < 6) {
+    return res.status(400).json({ ok: false, error: 'weak_password' });
+  }
+
+  try {
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = normalizeAdminUser({ username, passwordHash, role });
+    saveAdminStore({ ...adminStore, users: [...adminStore.users, user] });
+    recordAudit(req, { action: 'user.create', target: user.username, after: publicAdminUser(user) });
+    res.json({ ok: true, user: publicAdminUser(user) });
+  } catch (err) {
+    console.error('[hub] Failed to create admin user', err);
+    res.status(500).json({ ok: false, error: 'create_failed' });
+  }
+});
+
+app.patch('/admin/users/:username', requireRole('owner'), async (req, res) => {
+  const existing = findAdminUser(req.params.username);
+  if (!existing) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const body = req.body || {};
+  const updated = { ...existing };
+  if (Object.prototype.hasOwnProperty.call(body, 'role')) {
+    if (!ADMIN_ROLES.includes(body.role)) {
+      return res.status(400).json({ ok: false, error: 'invalid_role' });
+    }
+    updated.role = body.role;
+  }
+  if (Object.prototype.hasOwnProperty.call(body, 'disabled')) {
+    updated.disabled = body.disabled === true;
+  }
+  if (updated.username === req.adminUser.username && (updated.disabled || updated.role !== 'owner')) {
+    return res.status(400).json({ ok: false, error: 'cannot_demote_self' });
+  }
+  if (Object.prototype.hasOwnProperty.call(body, 'password')) {
+    const password = typeof body.password === 'string' ? body.password : '';
+    if (password.length < 6) {
+      return res.status(400).json({ ok: false, error: 'weak_password' });
+    }
+    updated.passwordHash = await bcrypt.hash(password, 10);
+  }
+  // lets an owner help someone who lost both their authenticator and recovery codes
+  if (body.resetTwoFactor === true) {
+    updated.totpSecret = null;
+    updated.totpLastCounter = 0;
+    updated.recoveryCodes = [];
+  }
+
+  const users = adminStore.users.map((user) => (user.username === existing.username ? updated : user));
+  if (!countActiveOwners(users)) {
+    return res.status(400).json({ ok: false, error: 'last_owner' });
+  }
+  updated.updatedAt = new Date().toISOString();
+  saveAdminStore({ ...adminStore, users });
+  if (updated.disabled || updated.passwordHash !== existing.passwordHash) revokeUserSessions(existing.username);
+  recordAudit(req, {
+    action: 'user.update',
+    target: existing.username,
+    before: { ...publicAdminUser(existing), passwordReset: false },
+    after: { ...publicAdminUser(updated), passwordReset: updated.passwordHash !== existing.passwordHash },
+  });
+  res.json({ ok: true, user: publicAdminUser(updated) });
+});
+
+app.delete('/admin/users/:username', requireRole('owner'), (req, res) => {
+  const existing = findAdminUser(req.params.username);
+  if (!existing) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  if (existing.username === req.adminUser.username) {
+    return res.status(400).json({ ok: false, error: 'cannot_delete_self' });
+  }
+
+  const users = adminStore.users.filter((user) => user.username !== existing.username);
+  if (!countActiveOwners(users)) {
+    return res.status(400).json({ ok: false, error: 'last_owner' });
+  }
+  saveAdminStore({ ...adminStore, users });
+  revokeUserSessions(existing.username);
+  recordAudit(req, { action: 'user.delete', target: existing.username, before: publicAdminUser(existing) });
+  res.json({ ok: true });
+});
+
+// Admin API: list services
+// Prometheus scrape endpoint. Scrapers authenticate with an API token that has
+// the metrics:read scope (`authorization: Bearer hub_...`).
+app.get('/metrics', requireRole('viewer', 'metrics:read'), (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.get('/admin/metrics/summary', requireRole('viewer', 'metrics:read'), (req, res) => {
+  const services = {};
+  loadServices().forEach((service) => {
+    services[service.name] = summarizeServiceMetrics(service.name);
+  });
+  res.json({ ok: true, since: new Date(metricsStartedAt).toISOString(), services });
+});
+
+app.get('/admin/services', requireRole('viewer', 'services:read'), (req, res) => {
+  res.json(loadServices());
+});
+
+// Add service: { name, target (or targets), prefix }
+app.post('/admin/services', requireRole('editor', 'services:write'), (req, res) => {
+  const body = req.body || {};
+  if (!body.name || (!body.target && !body.targets)) {
+    return res.status(400).json({ ok: false, error: 'missing fields' });
+  }
+
+  const list = loadServices();
+  if (list.find((s) => s.name === body.name)) {
+    return res.status(400).json({ ok: false, error: 'exists' });
+  }
+
+  const candidate = {
+    name: body.name,
+    prefix: body.prefix,
+    displayName: body.displayName,
+    description: body.description,
+    logo: body.logo,
+    healthInterval: body.healthInterval === undefined || body.healthInterval === '' ? undefined : Number(body.healthInterval),
+    access: body.access,
+    accessRoles: body.accessRoles,
+    fallbackPaths: [],
+  };
+  if (isReservedServicePrefix(servicePrefix(candidate))) {
+    return res.status(400).json({ ok: false, error: 'reserved_prefix' });
+  }
+  const settingsError =
+    applyTargets(candidate, body) ||
+    applyHealthSettings(candidate, body) ||
+    applyMaintenanceSettings(candidate, body) ||
+    applyFallbackPaths(candidate, body) ||
+    applyProxySettings(candidate, body);
+  if (settingsError) {
+    return res.status(400).json({ ok: false, error: settingsError });
+  }
+  const service = normalizeService(candidate);
+
+  if (!service) {
+    return res.status(400).json({ ok: false, error: 'invalid service payload' });
+  }
+
+  list.push(service);
+  saveServices(list, describeActor(req));
+  recordAudit(req, { action: 'service.create', target: service.name, after: service });
+  res.json({ ok: true, service });
+});
+
+// Test connection: same body as add/edit, nothing is saved. With the name of
+// an existing service its stored health settings fill in what the body omits.
+app.post('/admin/services/test-connection', requireRole('editor', 'services:write'), async (req, res) => {
+  const body = req.body || {};
+  const existing = body.name ? loadServices().find((s) => s.name === body.name) : null;
+  const candidate = existing ? { ...existing } : { name: 'connection-test' };
+  const settingsError = applyHealthSettings(candidate, body);
+  if (settingsError) {
+    return res.status(400).json({ ok: false, error: settingsError });
+  }
+  const items = body.targets !== undefined
+    ? (Array.isArray(body.targets) ? body.targets : String(body.targets || '').split(/[\s,]+/))
+    : [body.target];
+  const targets = normalizeTargets(items);
+  if (!targets.length) {
+    return res.status(400).json({ ok: false, error: 'missing_target' });
+  }
+  let manifestPath = SERVICE_MANIFEST_PATH;
+  if (body.manifestPath !== undefined && body.manifestPath !== '') {
+    manifestPath = typeof body.manifestPath === 'string' ? normalizeTargetPath(body.manifestPath) : null;
+    if (!manifestPath) {
+      return res.status(400).json({ ok: false, error: 'invalid_manifest_path' });
+    }
+  }
+  const service = normalizeService({ ...candidate, targets });
+  const results = await Promise.all(targets.map((target) => testServiceTarget(service, target, manifestPath)));
+  res.json({ ok: results.every((result) => result.ok), results });
+});
+
+app.patch('/admin/services/:name', requireRole('editor', 'services:write'), (req, res) => {
+  const list = loadServices();
+  const idx = list.findIndex((s) => s.name === req.params.name);
+  if (idx === -1) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const payload = { ...list[idx] };
+  const body = req.body || {};
+  const fields = ['displayName', 'description', 'logo', 'prefix'];
+
+  fields.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(body, field)) {
+      const value = body[field];
+      if (field === 'logo' && (value === null || value === '')) {
+        payload.logo = null;
+      } else if (typeof value === 'string') {
+        payload[field] = value;
+      }
+    }
+  });
+
+  if (isReservedServicePrefix(servicePrefix(payload))) {
+    return res.status(400).json({ ok: false, error: 'reserved_prefix' });
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'healthInterval')) {
+    const parsed = Number(body.healthInterval);
+    if (Number.isFinite(parsed)) {
+      payload.healthInterval = parsed;
+    }
+  }
+
+  const settingsError =
+    applyTargets(payload, body) ||
+    applyHealthSettings(payload, body) ||
+    applyMaintenanceSettings(payload, body) ||
+    applyFallbackPaths(payload, body) ||
+    applyProxySettings(payload, body);
+  if (settingsError) {
+    return res.status(400).json({ ok: false, error: settingsError });
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'access')) {
+    if (!SERVICE_ACCESS_MODES.includes(body.access)) {
+      return res.status(400).json({ ok: false, error: 'invalid_access' });
+    }
+    payload.access = body.access;
+  }
+
+  if (Array.isArray(body.accessRoles)) {
+    payload.accessRoles = body.accessRoles;
+  }
+
+  const normalized = normalizeService(payload);
+  if (!normalized) {
+    return res.status(400).json({ ok: false, error: 'invalid update' });
+  }
+
+  const before = list[idx];
+  list[idx] = normalized;
+  saveServices(list, describeActor(req));
+  recordAudit(req, { action: 'service.update', target: before.name, before, after: normalized });
+
+  res.json({ ok: true, service: normalized });
+});
+
+app.delete('/admin/services/:name', requireRole('editor', 'services:write'), (req, res) => {
+  const name = req.params.name;
+  const list = loadServices();
+  const existing = list.find(s=>s.name === name);
+  if (!existing) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  saveServices(list.filter(s=>s.name !== name), describeActor(req));
+  recordAudit(req, { action: 'service.delete', target: name, before: existing });
+  res.json({ ok: true });
+});
+
+app.post('/admin/password', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const currentPassword = typeof body.currentPassword === 'string' ? body.currentPassword : '';
+  const newPassword = typeof body.newPassword === 'string' ? body.newPassword : '';
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ ok: false, error: 'missing_fields' });
+  }
+
+  try {
+    const matches = await bcrypt.compare(currentPassword, req.adminUser.passwordHash);
+    if (!matches) {
+      return res.status(400).json({ ok: false, error: 'invalid_current_password' });
+    }
+  } catch (err) {
+    console.error('[hub] Password compare failed', err);
+    return res.status(500).json({ ok: false, error: 'compare_failed' });
+  }
+
+  if (newPassword.length < 6) {
+    return res.status(400).json({ ok: false, error: 'weak_password' });
+  }
+  if (newPassword === currentPassword) {
+    return res.status(400).json({ ok: false, error: 'same_password' });
+  }
+
+  try {
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const username = req.adminUser.username;
+    const updatedAt = new Date().toISOString();
+    const users = adminStore.users.map((user) => (user.username === username ? { ...user, passwordHash, updatedAt } : user));
+    saveAdminStore({ ...adminStore, users });
+    recordAudit(req, {
+      action: 'password.change',
+      target: username,
+      before: { passwordChanged: false, updatedAt: req.adminUser.updatedAt },
+      after: { passwordChanged: true, updatedAt },
+    });
+    req.session.mustChangePassword = false;
+    revokeUserSessions(username, FileSessionStore.handle(req.sessionID));
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[hub] Failed to update password', err);
+    res.status(500).json({ ok: false, error: 'update_failed' });
+  }
+});
+
+// Two-factor enrollment: /setup hands out a fresh secret (kept in the session
+// until confirmed), /enable confirms it with a first code and returns the
+// recovery codes, which are only ever shown once.
+app.post('/admin/2fa/setup', requireAuth, async (req, res) => {
+  if (req.adminUser.totpSecret) {
+    return res.status(400).json({ ok: false, error: 'already_enabled' });
+  }
+  const secret = base32Encode(crypto.randomBytes(20));
+  const issuer = loadConfig().siteTitle;
+  const label = encodeURIComponent(`${issuer}:${req.adminUser.username}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+  try {
+    const qr = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+    req.session.totpSetup = secret;
+    res.json({ ok: true, secret, otpauthUrl, qr });
+  } catch (err) {
+    console.error('[hub] Failed to render 2FA QR code', err);
+    res.status(500).json({ ok: false, error: 'qr_failed' });
+  }
+});
+
+app.post('/admin/2fa/enable', requireAuth, async (req, res) => {
+  const secret = req.session.totpSetup;
+  if (!secret || req.adminUser.totpSecret) {
+    return res.status(400).json({ ok: false, error: 'setup_required' });
+  }
+  const counter = matchTotp(secret, (req.body || {}).code, 0);
+  if (counter === -1) {
+    return res.status(400).json({ ok: false, error: 'invalid_code' });
+  }
+  const { codes, hashes } = await generateRecoveryCodes();
+  const user = updateAdminUser(req.adminUser.username, {
+    totpSecret: secret,
+    totpLastCounter: counter,
+    recoveryCodes: hashes,
+    updatedAt: new Date().toISOString(),
+  });
+  delete req.session.totpSetup;
+  recordAudit(req, { action: 'two-factor.enable', target: user.username, before: { twoFactorEnabled: false }, after: { twoFactorEnabled: true } });
+  res.json({ ok: true, user: publicAdminUser(user), recoveryCodes: codes });
+});
+
+app.post('/admin/2fa/recovery-codes', requireAuth, async (req, res) => {
+  if (!req.adminUser.totpSecret) {
+    return res.status(400).json({ ok: false, error: 'not_enabled' });
+  }
+  if (!(await verifySecondFactor(req.adminUser, (req.body || {}).code))) {
+    return res.status(400).json({ ok: false, error: 'invalid_code' });
+  }
+  const { codes, hashes } = await generateRecoveryCodes();
+  const user = updateAdminUser(req.adminUser.username, { recoveryCodes: hashes });
+  recordAudit(req, { action: 'two-factor.recovery-codes', target: user.username });
+  res.json({ ok: true, user: publicAdminUser(user), recoveryCodes: codes });
+});
+
+app.post('/admin/2fa/disable', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  if (!req.adminUser.totpSecret) {
+    return res.status(400).json({ ok: false, error: 'not_enabled' });
+  }
+  const passwordOk = typeof body.password === 'string' && (await bcrypt.compare(body.password, req.adminUser.passwordHash));
+  if (!passwordOk) {
+    return res.status(400).json({ ok: false, error: 'invalid_current_password' });
+  }
+  if (!(await verifySecondFactor(req.adminUser, body.code))) {
+    return res.status(400).json({ ok: false, error: 'invalid_code' });
+  }
+  const user = updateAdminUser(req.adminUser.username, {
+    totpSecret: null,
+    totpLastCounter: 0,
+    recoveryCodes: [],
+    updatedAt: new Date().toISOString(),
+  });
+  recordAudit(req, { action: 'two-factor.disable', target: user.username, before: { twoFactorEnabled: true }, after: { twoFactorEnabled: false } });
+  res.json({ ok: true, user: publicAdminUser(user) });
+});
+
+app.get('/admin/config', requireRole('viewer', 'config:read'), (req, res) => {
+  res.json(loadConfig());
+});
+
+app.post('/admin/config', requireRole('editor', 'config:write'), (req, res) => {
+  const body = req.body || {};
+  const current = loadConfig();
+  const next = { ...current };
+
+  if (Object.prototype.hasOwnProperty.call(body, 'siteLogo')) {
+    const value = typeof body.siteLogo === 'string' ? body.siteLogo.trim() : '';
+    next.siteLogo = value || DEFAULT_CONFIG.siteLogo;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'siteTitle')) {
+    const value = typeof body.siteTitle === 'string' ? body.siteTitle.trim() : '';
+    next.siteTitle = value || DEFAULT_CONFIG.siteTitle;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'brandTagline')) {
+    const value = typeof body.brandTagline === 'string' ? body.brandTagline.trim() : '';
+    next.brandTagline = value || DEFAULT_CONFIG.brandTagline;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'introTitle')) {
+    const value = typeof body.introTitle === 'string' ? body.introTitle.trim() : '';
+    next.introTitle = value || DEFAULT_CONFIG.introTitle;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'introBody')) {
+    const value =
+      typeof body.introBody === 'string' ? body.introBody.trim() : '';
+    next.introBody = value || DEFAULT_CONFIG.introBody;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'contactWhatsapp')) {
+    const value =
+      typeof body.contactWhatsapp === 'string' ? body.contactWhatsapp.trim() : '';
+    next.contactWhatsapp = value || DEFAULT_CONFIG.contactWhatsapp;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'pageBackgroundColor')) {
+    const value =
+      typeof body.pageBackgroundColor === 'string' ? body.pageBackgroundColor.trim() : '';
+    if (HEX_COLOR_PATTERN.test(value)) {
+      next.pageBackgroundColor = value;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'pageBackgroundOpacity')) {
+    const parsedOpacity = Number(body.pageBackgroundOpacity);
+    if (Number.isFinite(parsedOpacity)) {
+      next.pageBackgroundOpacity = Math.max(0, Math.min(1, parsedOpacity));
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'surfaceColor')) {
+    const value =
+      typeof body.surfaceColor === 'string' ? body.surfaceColor.trim() : '';
+    if (HEX_COLOR_PATTERN.test(value)) {
+      next.surfaceColor = value;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'surfaceOpacity')) {
+    const parsedOpacity = Number(body.surfaceOpacity);
+    if (Number.isFinite(parsedOpacity)) {
+      next.surfaceOpacity = Math.max(0, Math.min(1, parsedOpacity));
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'heroVideo')) {
+    const value = typeof body.heroVideo === 'string' ? body.heroVideo.trim() : '';
+    next.heroVideo = value;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'heroVideoBlur')) {
+    const parsed = Number(body.heroVideoBlur);
+    if (Number.isFinite(parsed)) {
+      next.heroVideoBlur = Math.max(0, Math.min(40, parsed));
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'heroOverlayColor')) {
+    const value = typeof body.heroOverlayColor === 'string' ? body.heroOverlayColor.trim() : '';
+    if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+      next.heroOverlayColor = value;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'heroOverlayOpacity')) {
+    const parsedOpacity = Number(body.heroOverlayOpacity);
+    if (Number.isFinite(parsedOpacity)) {
+      next.heroOverlayOpacity = Math.max(0, Math.min(1, parsedOpacity));
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'welcomeImage')) {
+    const value = typeof body.welcomeImage === 'string' ? body.welcomeImage.trim() : '';
+    next.welcomeImage = value;
+  }
+
+  const saved = saveConfig(next, describeActor(req));
+  recordAudit(req, { action: 'config.update', target: 'config', before: current, after: saved });
+  res.json({ ok: true, config: saved });
+});
+
+app.get('/admin/social-links', requireRole('viewer', 'config:read'), (req, res) => {
+  const config = loadConfig();
+  res.json({ ok: true, links: config.socialLinks });
+});
+
+app.post('/admin/social-links', requireRole('editor', 'config:write'), (req, res) => {
+  const body = req.body || {};
+  const candidate = normalizeSocialLink({
+    id: crypto.randomUUID(),
+    label: body.label,
+    url: body.url,
+    icon: body.icon,
+  });
+
+  if (!candidate) {
+    return res.status(400).json({ ok: false, error: 'invalid_link' });
+  }
+
+  const config = loadConfig();
+  const next = { ...config, socialLinks: [...config.socialLinks, candidate] };
+  const saved = saveConfig(next, describeActor(req));
+  recordAudit(req, { action: 'social-link.create', target: candidate.id, after: candidate });
+  res.json({ ok: true, link: candidate, links: saved.socialLinks });
+});
+
+app.patch('/admin/social-links/:id', requireRole('editor', 'config:write'), (req, res) => {
+  const linkId = String(req.params.id || '').trim();
+  if (!linkId) {
+    return res.status(400).json({ ok: false, error: 'missing_id' });
+  }
+
+  const body = req.body || {};
+  const config = loadConfig();
+  const index = config.socialLinks.findIndex((link) => link.id === linkId);
+  if (index === -1) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const updated = { ...config.socialLinks[index] };
+  if (Object.prototype.hasOwnProperty.call(body, 'label')) {
+    updated.label = typeof body.label === 'string' ? body.label.trim() : '';
+  }
+  if (Object.prototype.hasOwnProperty.call(body, 'url')) {
+    updated.url = typeof body.url === 'string' ? body.url.trim() : '';
+  }
+  if (Object.prototype.hasOwnProperty.call(body, 'icon')) {
+    updated.icon = typeof body.icon === 'string' ? body.icon.trim() : '';
+  }
+
+  const normalised = normalizeSocialLink({ ...updated, id: linkId });
+  if (!normalised) {
+    return res.status(400).json({ ok: false, error: 'invalid_link' });
+  }
+
+  const next = { ...config, socialLinks: [...config.socialLinks] };
+  next.socialLinks[index] = normalised;
+  const saved = saveConfig(next, describeActor(req));
+  recordAudit(req, { action: 'social-link.update', target: linkId, before: config.socialLinks[index], after: normalised });
+  res.json({ ok: true, link: saved.socialLinks[index], links: saved.socialLinks });
+});
+
+app.delete('/admin/social-links/:id', requireRole('editor', 'config:write'), (req, res) => {
+  const linkId = String(req.params.id || '').trim();
+  if (!linkId) {
+    return res.status(400).json({ ok: false, error: 'missing_id' });
+  }
+
+  const config = loadConfig();
+  const nextLinks = config.socialLinks.filter((link) => link.id !== linkId);
+  if (nextLinks.length === config.socialLinks.length) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const saved = saveConfig({ ...config, socialLinks: nextLinks }, describeActor(req));
+  recordAudit(req, {
+    action: 'social-link.delete',
+    target: linkId,
+    before: config.socialLinks.find((link) => link.id === linkId),
+  });
+  res.json({ ok: true, links: saved.socialLinks });
+});
+
+// Every translation at once, as edited side by side in the admin panel:
+// { defaultLocale, config: { de: {...} }, services: { service1: { de: {...} } }, socialLinks: { <id>: { de: {...} } } }
+app.get('/admin/translations', requireRole('viewer', 'config:read'), (req, res) => {
+  const config = loadConfig();
+  const services = loadServices();
+  res.json({
+    ok: true,
+    locales: SUPPORTED_LOCALES,
+    defaultLocale: config.defaultLocale,
+    fields: {
+      config: TRANSLATABLE_CONFIG_FIELDS,
+      services: TRANSLATABLE_SERVICE_FIELDS,
+      socialLinks: TRANSLATABLE_LINK_FIELDS,
+    },
+    config: config.translations,
+    services: Object.fromEntries(services.map((service) => [service.name, service.translations])),
+    socialLinks: Object.fromEntries(config.socialLinks.map((link) => [link.id, link.translations])),
+  });
+});
+
+// Moves a config, service or social link to another default language: plain
+// fields that have a translation into the new default take it, and their old
+// text is kept as the old default's translation. Fields without one keep their
+// text, which is what visitors of either language are shown anyway.
+function rebaseTranslations(entity, translations, fields, fromLocale, toLocale) {
+  const next = { ...translations };
+  const values = {};
+  if (fromLocale !== toLocale) {
+    const promoted = next[toLocale] || {};
+    const plain = (field) => (typeof entity[field] === 'string' ? entity[field].trim() : '');
+    const previous = {};
+    fields.forEach((field) => {
+      if (!promoted[field]) return;
+      values[field] = promoted[field];
+      if (plain(field)) previous[field] = plain(field);
+    });
+    // texts sent for the old default in the same request win over the plain fields;
+    // one that matches the text it would fall back to is not worth keeping
+    const moved = { ...previous, ...next[fromLocale] };
+    fields.forEach((field) => {
+      if (moved[field] === (values[field] || plain(field))) delete moved[field];
+    });
+    if (Object.keys(moved).length) next[fromLocale] = moved;
+    else delete next[fromLocale];
+  }
+  delete next[toLocale];
+  return { ...values, translations: next };
+}
+
+// Replaces the translations of every entry named in the body. Entries that are
+// left out keep theirs. Translations into the default language are not stored,
+// because that language reads the plain fields; changing the default swaps the
+// two (see rebaseTranslations).
+app.put('/admin/translations', requireRole('editor', 'config:write'), (req, res) => {
+  const body = req.body || {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  if (has('defaultLocale') && !SUPPORTED_LOCALES.includes(body.defaultLocale)) {
+    return res.status(400).json({ ok: false, error: 'invalid_locale' });
+  }
+  if (['config', 'services', 'socialLinks'].some((key) => has(key) && !isObject(body[key]))) {
+    return res.status(400).json({ ok: false, error: 'invalid_translations' });
+  }
+
+  const currentConfig = loadConfig();
+  const currentServices = loadServices();
+  const defaultLocale = has('defaultLocale') ? body.defaultLocale : currentConfig.defaultLocale;
+  const clean = (entity, input, fields) =>
+    rebaseTranslations(entity, normalizeTranslations(input, fields), fields, currentConfig.defaultLocale, defaultLocale);
+
+  const serviceNames = has('services') ? Object.keys(body.services) : [];
+  const unknownService = serviceNames.find((name) => !currentServices.some((service) => service.name === name));
+  if (unknownService) {
+    return res.status(404).json({ ok: false, error: 'service_not_found', service: unknownService });
+  }
+  const linkIds = has('socialLinks') ? Object.keys(body.socialLinks) : [];
+  const unknownLink = linkIds.find((id) => !currentConfig.socialLinks.some((link) => link.id === id));
+  if (unknownLink) {
+    return res.status(404).json({ ok: false, error: 'link_not_found', link: unknownLink });
+  }
+
+  // a plain text longer than a translation may be would be cut when it moves
+  if (defaultLocale !== currentConfig.defaultLocale) {
+    const texts = [
+      ...TRANSLATABLE_CONFIG_FIELDS.map((field) => currentConfig[field]),
+      ...currentConfig.socialLinks.map((link) => link.label),
+      ...currentServices.flatMap((service) => TRANSLATABLE_SERVICE_FIELDS.map((field) => service[field])),
+    ];
+    if (texts.some((text) => typeof text === 'string' && text.trim().length > MAX_TRANSLATION_LENGTH)) {
+      return res.status(400).json({ ok: false, error: 'text_too_long' });
+    }
+  }
+
+  const nextConfig = {
+    ...currentConfig,
+    defaultLocale,
+    ...clean(currentConfig, has('config') ? body.config : currentConfig.translations, TRANSLATABLE_CONFIG_FIELDS),
+    socialLinks: currentConfig.socialLinks.map((link) => ({
+      ...link,
+      ...clean(link, linkIds.includes(link.id) ? body.socialLinks[link.id] : link.translations, TRANSLATABLE_LINK_FIELDS),
+    })),
+  };
+  const nextServices = currentServices.map((service) => ({
+    ...service,
+    ...clean(service, serviceNames.includes(service.name) ? body.services[service.name] : service.translations, TRANSLATABLE_SERVICE_FIELDS),
+  }));
+
+  const servicesChanged = JSON.stringify(nextServices) !== JSON.stringify(currentServices);
+  const savedConfig = saveConfig(nextConfig, describeActor(req));
+  const savedServices = servicesChanged ? saveServices(nextServices, describeActor(req)) : currentServices;
+  recordAudit(req, {
+    action: 'translations.update',
+    target: 'translations',
+    before: {
+      defaultLocale: currentConfig.defaultLocale,
+      config: currentConfig.translations,
+      services: Object.fromEntries(currentServices.map((service) => [service.name, service.translations])),
+      socialLinks: Object.fromEntries(currentConfig.socialLinks.map((link) => [link.id, link.translations])),
+    },
+    after: {
+      defaultLocale: savedConfig.defaultLocale,
+      config: savedConfig.translations,
+      services: Object.fromEntries(savedServices.map((service) => [service.name, service.translations])),
+      socialLinks: Object.fromEntries(savedConfig.socialLinks.map((link) => [link.id, link.translations])),
+    },
+  });
+  res.json({ ok: true, defaultLocale: savedConfig.defaultLocale });
+});
+
+// Theme presets live in config.json (`themes`); applying one copies its values
+// into the live colour settings. The draft is edited separately and previewed
+// through /?preview=<token> before it is published.
+function pickThemeValues(config) {
+  return Object.fromEntries(THEME_FIELDS.map((field) => [field, config[field]]));
+}
+
+function describeThemeDraft(draft) {
+  if (!draft) return null;
+  return { ...draft, previewUrl: `/?preview=${encodeURIComponent(draft.previewToken)}` };
+}
+
+function themeNameTaken(themes, name, exceptId) {
+  return themes.some((theme) => theme.id !== exceptId && theme.name.toLowerCase() === name.toLowerCase());
+}
+
+app.get('/admin/themes', requireRole('viewer', 'config:read'), (req, res) => {
+  const config = loadConfig();
+  res.json({
+    ok: true,
+    fields: THEME_FIELDS,
+    live: pickThemeValues(config),
+    themes: config.themes,
+    draft: describeThemeDraft(loadThemeDraft()),
+  });
+});
+
+// Saves a preset from `values`, or from the live settings when they are omitted.
+app.post('/admin/themes', requireRole('editor', 'config:write'), (req, res) => {
+  const body = req.body || {};
+  const config = loadConfig();
+  const name = typeof body.name === 'string' ? body.name.trim().slice(0, 60) : '';
+  if (!name) {
+    return res.status(400).json({ ok: false, error: 'invalid_name' });
+  }
+  if (themeNameTaken(config.themes, name)) {
+    return res.status(409).json({ ok: false, error: 'theme_exists' });
+  }
+  const values = readThemeValues(body.values, pickThemeValues(config));
+  if (!values) {
+    return res.status(400).json({ ok: false, error: 'invalid_theme' });
+  }
+
+  const theme = { id: crypto.randomUUID(), name, values };
+  const saved = saveConfig({ ...config, themes: [...config.themes, theme] }, describeActor(req));
+  recordAudit(req, { action: 'theme.create', target: theme.id, after: theme });
+  res.json({ ok: true, theme, themes: saved.themes });
+});
+
+app.patch('/admin/themes/:id', requireRole('editor', 'config:write'), (req, res) => {
+  const body = req.body || {};
+  const config = loadConfig();
+  const index = config.themes.findIndex((theme) => theme.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const before = config.themes[index];
+  const updated = { ...before };
+  if (Object.prototype.hasOwnProperty.call(body, 'name')) {
+    const name = typeof body.name === 'string' ? body.name.trim().slice(0, 60) : '';
+    if (!name) {
+      return res.status(400).json({ ok: false, error: 'invalid_name' });
+    }
+    if (themeNameTaken(config.themes, name, before.id)) {
+      return res.status(409).json({ ok: false, error: 'theme_exists' });
+    }
+    updated.name = name;
+  }
+  if (Object.prototype.hasOwnProperty.call(body, 'values')) {
+    const values = readThemeValues(body.values, before.values);
+    if (!values) {
+      return res.status(400).json({ ok: false, error: 'invalid_theme' });
+    }
+    updated.values = values;
+  }
+
+  const themes = [...config.themes];
+  themes[index] = updated;
+  const saved = saveConfig({ ...config, themes }, describeActor(req));
+  recordAudit(req, { action: 'theme.update', target: before.id, before, after: updated });
+  res.json({ ok: true, theme: saved.themes[index], themes: saved.themes });
+});
+
+app.delete('/admin/themes/:id', requireRole('editor', 'config:write'), (req, res) => {
+  const config = loadConfig();
+  const theme = config.themes.find((item) => item.id === req.params.id);
+  if (!theme) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const saved = saveConfig({ ...config, themes: config.themes.filter((item) => item !== theme) }, describeActor(req));
+  recordAudit(req, { action: 'theme.delete', target: theme.id, before: theme });
+  res.json({ ok: true, themes: saved.themes });
+});
+
+// Publishes a preset: its values replace the live colour settings.
+app.post('/admin/themes/:id/apply', requireRole('editor', 'config:write'), (req, res) => {
+  const config = loadConfig();
+  const theme = config.themes.find((item) => item.id === req.params.id);
+  if (!theme) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const saved = saveConfig({ ...config, ...theme.values }, describeActor(req));
+  recordAudit(req, {
+    action: 'theme.apply',
+    target: theme.id,
+    before: pickThemeValues(config),
+    after: pickThemeValues(saved),
+  });
+  res.json({ ok: true, config: saved });
+});
+
+// Creates or updates the draft. Values left out keep the draft's current ones,
+// or the live settings for a new draft; the preview token stays the same until
+// the draft is published or discarded.
+app.put('/admin/theme-draft', requireRole('editor', 'config:write'), (req, res) => {
+  const body = req.body || {};
+  const current = loadThemeDraft();
+  const values = readThemeValues(body.values, current ? current.values : pickThemeValues(loadConfig()));
+  if (!values) {
+    return res.status(400).json({ ok: false, error: 'invalid_theme' });
+  }
+
+  const draft = saveThemeDraft({
+    values,
+    previewToken: current ? current.previewToken : crypto.randomBytes(24).toString('base64url'),
+    updatedAt: new Date().toISOString(),
+    updatedBy: describeActor(req),
+  });
+  recordAudit(req, {
+    action: 'theme.draft',
+    target: 'theme-draft',
+    before: current ? current.values : null,
+    after: values,
+  });
+  res.json({ ok: true, draft: describeThemeDraft(draft) });
+});
+
+app.delete('/admin/theme-draft', requireRole('editor', 'config:write'), (req, res) => {
+  const current = loadThemeDraft();
+  if (!current) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  saveThemeDraft(null);
+  recordAudit(req, { action: 'theme.discard', target: 'theme-draft', before: current.values });
+  res.json({ ok: true });
+});
+
+app.post('/admin/theme-draft/publish', requireRole('editor', 'config:write'), (req, res) => {
+  const draft = loadThemeDraft();
+  if (!draft) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const config = loadConfig();
+  const saved = saveConfig({ ...config, ...draft.values }, describeActor(req));
+  saveThemeDraft(null);
+  recordAudit(req, {
+    action: 'theme.publish',
+    target: 'theme-draft',
+    before: pickThemeValues(config),
+    after: pickThemeValues(saved),
+  });
+  res.json({ ok: true, config: saved });
+});
+
+app.get('/admin/notifications', requireAuth, (req, res) => {
+  res.json({ ok: true, channels: loadNotificationChannels().map(publicNotificationChannel) });
+});
+
+app.post('/admin/notifications', requireRole('owner'), (req, res) => {
+  const body = req.body || {};
+  const candidate = normalizeNotificationChannel({ ...body, id: crypto.randomUUID() });
+  if (!candidate) {
+    return res.status(400).json({ ok: false, error: 'invalid_channel' });
+  }
+
+  const saved = saveNotificationChannels([...loadNotificationChannels(), candidate]);
+  recordAudit(req, { action: 'notification.create', target: candidate.id, after: publicNotificationChannel(candidate) });
+  res.json({ ok: true, channel: publicNotificationChannel(candidate), channels: saved.map(publicNotificationChannel) });
+});
+
+app.patch('/admin/notifications/:id', requireRole('owner'), (req, res) => {
+  const channelId = String(req.params.id || '').trim();
+  const list = loadNotificationChannels();
+  const index = list.findIndex((channel) => channel.id === channelId);
+  if (index === -1) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const body = { ...(req.body || {}) };
+  // an empty password or secret field in the editor means "keep the stored one"
+  if (body.pass === '' || body.pass === undefined) delete body.pass;
+  if (body.secret === '' || body.secret === undefined) delete body.secret;
+  const normalised = normalizeNotificationChannel({ ...list[index], ...body, id: channelId, type: list[index].type });
+  if (!normalised) {
+    return res.status(400).json({ ok: false, error: 'invalid_channel' });
+  }
+
+  const before = list[index];
+  list[index] = normalised;
+  const saved = saveNotificationChannels(list);
+  recordAudit(req, {
+    action: 'notification.update',
+    target: channelId,
+    before: publicNotificationChannel(before),
+    after: publicNotificationChannel(normalised),
+  });
+  res.json({ ok: true, channel: publicNotificationChannel(normalised), channels: saved.map(publicNotificationChannel) });
+});
+
+app.delete('/admin/notifications/:id', requireRole('owner'), (req, res) => {
+  const channelId = String(req.params.id || '').trim();
+  const list = loadNotificationChannels();
+  const existing = list.find((channel) => channel.id === channelId);
+  if (!existing) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const saved = saveNotificationChannels(list.filter((channel) => channel.id !== channelId));
+  recordAudit(req, { action: 'notification.delete', target: channelId, before: publicNotificationChannel(existing) });
+  res.json({ ok: true, channels: saved.map(publicNotificationChannel) });
+});
+
+app.post('/admin/notifications/:id/test', requireRole('owner'), async (req, res) => {
+  const channelId = String(req.params.id || '').trim();
+  const channel = loadNotificationChannels().find((item) => item.id === channelId);
+  if (!channel) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  try {
+    await sendNotification(channel, buildNotificationMessage('test', {}, null));
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(502).json({ ok: false, error: err.message || 'send_failed' });
+  }
+});
+
+// Revisions of config.json and services.json
+function requireRevisionAccess(level) {
+  return (req, res, next) => {
+    const kind = req.params.kind;
+    if (!REVISION_KINDS.includes(kind)) {
+      return res.status(404).json({ ok: false, error: 'not_found' });
+    }
+    const scope = `${kind}:${level === 'editor' ? 'write' : 'read'}`;
+    return requireRole(level, scope)(req, res, next);
+  };
+}
+
+function revisionSummary(revision) {
+  const { data, ...rest } = revision;
+  return rest;
+}
+
+app.get('/admin/revisions/:kind', requireRevisionAccess('viewer'), (req, res) => {
+  const revisions = loadRevisions(req.params.kind).map(revisionSummary).reverse();
+  res.json({ ok: true, revisions });
+});
+
+app.get('/admin/revisions/:kind/diff', requireRevisionAccess('viewer'), (req, res) => {
+  const revisions = loadRevisions(req.params.kind);
+  const from = revisions.find((revision) => revision.number === Number(req.query.from));
+  const to = revisions.find((revision) => revision.number === Number(req.query.to));
+  if (!from || !to) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  res.json({ ok: true, from: revisionSummary(from), to: revisionSummary(to), changes: diffValues(from.data, to.data) });
+});
+
+app.get('/admin/revisions/:kind/:number', requireRevisionAccess('viewer'), (req, res) => {
+  const revision = loadRevisions(req.params.kind).find((item) => item.number === Number(req.params.number));
+  if (!revision) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  res.json({ ok: true, revision });
+});
+
+app.post('/admin/revisions/:kind/:number/restore', requireRevisionAccess('editor'), (req, res) => {
+  const kind = req.params.kind;
+  const revision = loadRevisions(kind).find((item) => item.number === Number(req.params.number));
+  if (!revision) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+
+  const author = describeActor(req);
+  if (kind === 'services') {
+    const before = loadServices();
+    // saveServices re-routes the proxies and restarts the health pollers
+    const restored = saveServices(Array.isArray(revision.data) ? revision.data : [], author, { restoredFrom: revision.number });
+    recordAudit(req, { action: 'services.restore', target: `revision ${revision.number}`, before, after: restored });
+    return res.json({ ok: true, revision: latestRevision(kind).number, services: restored });
+  }
+
+  const before = loadConfig();
+  const restored = saveConfig(revision.data, author, { restoredFrom: revision.number });
+  recordAudit(req, { action: 'config.restore', target: `revision ${revision.number}`, before, after: restored });
+  return res.json({ ok: true, revision: latestRevision(kind).number, config: restored });
+});
+
+// Portable bundle: one zip with manifest.json, config.json, services.json,
+// notifications.json and the uploads those files reference (uploads/<name>).
+// Admin accounts, API tokens, the identity secret and notification passwords
+// only go into secrets/ when the owner explicitly asks for them.
+const BUNDLE_FORMAT = 'linart-hub-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_MAX_SIZE = 200 * 1024 * 1024;
+const BUNDLE_MAX_UNPACKED_SIZE = 500 * 1024 * 1024;
+const BUNDLE_MAX_ENTRIES = 5000;
+const BUNDLE_IMPORT_TTL_MS = 15 * 60 * 1000;
+const UPLOAD_URL_PREFIX = '/static/uploads/';
+const UPLOAD_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,199}$/;
+// importId -> { bundle, username, expiresAt }; a new preview replaces the
+// owner's previous one, so at most one bundle per owner is held in memory.
+const pendingImports = new Map();
+
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: BUNDLE_MAX_SIZE },
+});
+
+function bundleError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_BUNDLE';
+  return err;
+}
+
+// Names of files under static/uploads referenced anywhere in the given value.
+function collectUploadRefs(value, refs = new Set()) {
+  if (typeof value === 'string') {
+    if (value.startsWith(UPLOAD_URL_PREFIX)) {
+      const name = value.slice(UPLOAD_URL_PREFIX.length).split(/[?#]/)[0];
+      if (UPLOAD_NAME_PATTERN.test(name)) refs.add(name);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectUploadRefs(item, refs));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach((item) => collectUploadRefs(item, refs));
+  }
+  return refs;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function stripChannelSecrets(channel) {
+  const { secret, pass, ...rest } = channel;
+  return rest;
+}
+
+function buildBundle(includeSecrets) {
+  const config = loadConfig();
+  const services = loadServices();
+  const channels = loadNotificationChannels();
+  const zip = new AdmZip();
+  const assets = [];
+  const missingAssets = [];
+
+  collectUploadRefs([config, services]).forEach((name) => {
+    let data;
+    try {
+      data = fs.readFileSync(path.join(UPLOAD_DIR, name));
+    } catch (err) {
+      missingAssets.push(name);
+      return;
+    }
+    zip.addFile(`uploads/${name}`, data);
+    assets.push({ name, size: data.length, sha256: sha256(data) });
+  });
+
+  zip.addFile('config.json', Buffer.from(JSON.stringify(config, null, 2)));
+  zip.addFile('services.json', Buffer.from(JSON.stringify(services, null, 2)));
+  zip.addFile(
+    'notifications.json',
+    Buffer.from(JSON.stringify({ channels: includeSecrets ? channels : channels.map(stripChannelSecrets) }, null, 2))
+  );
+  if (includeSecrets) {
+    zip.addFile('secrets/admin.json', Buffer.from(JSON.stringify({ users: adminStore.users }, null, 2)));
+    zip.addFile('secrets/api-tokens.json', Buffer.from(JSON.stringify({ tokens: apiTokens }, null, 2)));
+    zip.addFile('secrets/identity-secret', Buffer.from(identitySecret));
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    includesSecrets: Boolean(includeSecrets),
+    counts: {
+      services: services.length,
+      socialLinks: config.socialLinks.length,
+      notificationChannels: channels.length,
+      assets: assets.length,
+    },
+    assets,
+    missingAssets,
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  return { buffer: zip.toBuffer(), manifest };
+}
+
+function readBundleJson(zip, name, required) {
+  const entry = zip.getEntry(name);
+  if (!entry) {
+    if (required) throw bundleError(`${name} is missing`);
+    return null;
+  }
+  try {
+    return JSON.parse(entry.getData().toString('utf8'));
+  } catch (err) {
+    throw bundleError(`${name} is not valid JSON`);
+  }
+}
+
+// An entry never inflates past the size it declares, so the declared sizes bound
+// the memory that reading the whole archive takes.
+function checkBundleLimits(zip) {
+  const entries = zip.getEntries();
+  if (entries.length > BUNDLE_MAX_ENTRIES) throw bundleError(`more than ${BUNDLE_MAX_ENTRIES} files in the archive`);
+  const unpacked = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (unpacked > BUNDLE_MAX_UNPACKED_SIZE) throw bundleError('archive contents are too large');
+}
+
+// Parses and validates an uploaded bundle without touching anything on disk.
+function readBundle(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    throw bundleError('not a zip archive');
+  }
+  checkBundleLimits(zip);
+
+  const manifest = readBundleJson(zip, 'manifest.json', true);
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) throw bundleError('manifest.json is not a hub bundle manifest');
+  if (!Number.isInteger(manifest.version) || manifest.version > BUNDLE_VERSION) {
+    throw bundleError(`unsupported bundle version ${manifest.version}`);
+  }
+
+  const rawConfig = readBundleJson(zip, 'config.json', true);
+  if (!isPlainObject(rawConfig)) throw bundleError('config.json must contain an object');
+  const config = sanitizeConfig(rawConfig);
+
+  const rawServices = readBundleJson(zip, 'services.json', true);
+  if (!Array.isArray(rawServices)) throw bundleError('services.json must contain an array');
+  const reservedIndex = rawServices.findIndex((service) => service && typeof service === 'object' && isReservedServicePrefix(servicePrefix(service)));
+  if (reservedIndex !== -1) throw bundleError(`services.json entry ${reservedIndex} uses a path reserved by the hub`);
+  const services = rawServices.map(normalizeService);
+  const invalidIndex = services.findIndex((service) => !service || !service.target);
+  if (invalidIndex !== -1) throw bundleError(`services.json entry ${invalidIndex} is not a valid service`);
+  ['name', 'prefix'].forEach((key) => {
+    const seen = new Set();
+    services.forEach((service) => {
+      if (seen.has(service[key])) throw bundleError(`duplicate service ${key} ${service[key]}`);
+      seen.add(service[key]);
+    });
+  });
+
+  const rawNotifications = readBundleJson(zip, 'notifications.json', false);
+  const rawChannels = rawNotifications && Array.isArray(rawNotifications.channels) ? rawNotifications.channels : [];
+  const channels = rawChannels.map(normalizeNotificationChannel).filter(Boolean);
+
+  const assets = new Map();
+  zip.getEntries().forEach((entry) => {
+    if (entry.isDirectory || !entry.entryName.startsWith('uploads/')) return;
+    const name = entry.entryName.slice('uploads/'.length);
+    if (!UPLOAD_NAME_PATTERN.test(name)) throw bundleError(`invalid asset name ${entry.entryName}`);
+    // same file types as uploads through the admin, anything else could be served as a page of the hub
+    if (!allowedExtensions.has(path.extname(name).toLowerCase())) throw bundleError(`asset ${name} has an unsupported file type`);
+    if (entry.header.size > BUNDLE_MAX_SIZE) throw bundleError(`asset ${name} is too large`);
+    const data = safeUploadContent(name, entry.getData());
+    if (!data) throw bundleError(`asset ${name} is not a well-formed SVG`);
+    assets.set(name, data);
+  });
+  const missingAssets = Array.from(collectUploadRefs([config, services])).filter(
+    (name) => !assets.has(name) && !fs.existsSync(path.join(UPLOAD_DIR, name))
+  );
+
+  let secrets = null;
+  const rawUsers = readBundleJson(zip, 'secrets/admin.json', false);
+  if (rawUsers) {
+    const users = Array.isArray(rawUsers.users) ? rawUsers.users.map(normalizeAdminUser).filter(Boolean) : [];
+    if (!countActiveOwners(users)) throw bundleError('secrets/admin.json has no active owner');
+    const rawTokens = readBundleJson(zip, 'secrets/api-tokens.json', false);
+    const secretEntry = zip.getEntry('secrets/identity-secret');
+    secrets = {
+      users,
+      tokens: rawTokens && Array.isArray(rawTokens.tokens) ? rawTokens.tokens.map(normalizeApiToken).filter(Boolean) : [],
+      identitySecret: secretEntry ? secretEntry.getData().toString('utf8').trim() : '',
+    };
+  }
+
+  return { manifest, config, services, channels, assets, missingAssets, secrets };
+}
+
+// Bundles exported without secrets keep the passwords already configured on this hub.
+function bundleChannels(bundle) {
+  if (bundle.secrets) return bundle.channels;
+  const existing = new Map(loadNotificationChannels().map((channel) => [channel.id, channel]));
+  return bundle.channels.map((channel) => {
+    const current = existing.get(channel.id);
+    if (!current || current.type !== channel.type) return channel;
+    return channel.type === 'webhook' ? { ...channel, secret: current.secret } : { ...channel, pass: current.pass };
+  });
+}
+
+function diffByKey(current, incoming, key) {
+  const before = new Map(current.map((item) => [item[key], item]));
+  const after = new Map(incoming.map((item) => [item[key], item]));
+  const result = { added: [], removed: [], changed: [] };
+  after.forEach((item, id) => {
+    if (!before.has(id)) {
+      result.added.push(id);
+      return;
+    }
+    const changes = diffValues(redactForAudit(before.get(id)), redactForAudit(item));
+    if (changes.length) result.changed.push({ [key]: id, changes });
+  });
+  before.forEach((_item, id) => {
+    if (!after.has(id)) result.removed.push(id);
+  });
+  return result;
+}
+
+// What applying the bundle would change, in the same before/after shape the audit log uses.
+function previewBundle(bundle) {
+  const assets = { added: [], replaced: [], unchanged: 0 };
+  bundle.assets.forEach((data, name) => {
+    let existing = null;
+    try {
+      existing = fs.readFileSync(path.join(UPLOAD_DIR, name));
+    } catch (err) {
+      assets.added.push(name);
+      return;
+    }
+    if (existing.equals(data)) assets.unchanged += 1;
+    else assets.replaced.push(name);
+  });
+
+  const currentChannels = loadNotificationChannels();
+  const incomingChannels = bundleChannels(bundle);
+  const channelDiff = diffByKey(currentChannels, incomingChannels, 'id');
+  const nameOf = new Map([...currentChannels, ...incomingChannels].map((channel) => [channel.id, channel.name]));
+  const preview = {
+    config: diffValues(loadConfig(), bundle.config),
+    services: diffByKey(loadServices(), bundle.services, 'name'),
+    notifications: {
+      added: channelDiff.added.map((id) => nameOf.get(id)),
+      removed: channelDiff.removed.map((id) => nameOf.get(id)),
+      changed: channelDiff.changed.map((item) => ({ name: nameOf.get(item.id), changes: item.changes })),
+    },
+    assets,
+    missingAssets: bundle.missingAssets,
+    secrets: bundle.secrets
+      ? {
+          users: bundle.secrets.users.map((user) => `${user.username} (${user.role})`),
+          tokens: bundle.secrets.tokens.length,
+          identitySecret: Boolean(bundle.secrets.identitySecret),
+        }
+      : null,
+  };
+  return preview;
+}
+
+function applyBundle(bundle, author) {
+  bundle.assets.forEach((data, name) => {
+    fs.writeFileSync(path.join(UPLOAD_DIR, name), data);
+  });
+
+  const revisionInfo = { importedFrom: bundle.manifest.createdAt || null };
+  const config = saveConfig(bundle.config, author, revisionInfo);
+  const services = saveServices(bundle.services, author, revisionInfo);
 
-  list[idx] = normalized;
-  saveServices(list);
+  const channels = saveNotificationChannels(bundleChannels(bundle));
 
-  if (Object.prototype.hasOwnProperty.call(body, 'target') || Object.prototype.hasOwnProperty.call(body, 'prefix')) {
-    registerProxies(app);
+  if (bundle.secrets) {
+    saveAdminStore({ ...adminStore, users: bundle.secrets.users });
+    saveApiTokens(bundle.secrets.tokens);
+    if (bundle.secrets.identitySecret) {
+      fs.writeFileSync(IDENTITY_SECRET_FILE, bundle.secrets.identitySecret, { mode: 0o600 });
+      if (!process.env.HUB_IDENTITY_SECRET) identitySecret = bundle.secrets.identitySecret;
+    }
   }
+  return { config, services, channels };
+}
 
-  res.json({ ok: true, service: normalized });
-});
+function prunePendingImports() {
+  const now = Date.now();
+  pendingImports.forEach((pending, id) => {
+    if (pending.expiresAt <= now) pendingImports.delete(id);
+  });
+}
 
-app.delete('/admin/services/:name', requireAuth, (req, res) => {
-  const name = req.params.name;
-  let list = loadServices();
-  list = list.filter(s=>s.name !== name);
-  saveServices(list);
-  res.json({ ok: true });
+app.get('/admin/bundle/export', requireRole('owner'), (req, res) => {
+  const includeSecrets = req.query.secrets === '1' || req.query.secrets === 'true';
+  const { buffer, manifest } = buildBundle(includeSecrets);
+  const stamp = manifest.createdAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  recordAudit(req, {
+    action: 'bundle.export',
+    after: { includesSecrets: manifest.includesSecrets, counts: manifest.counts, missingAssets: manifest.missingAssets },
+  });
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="hub-bundle-${stamp}.zip"`);
+  res.send(buffer);
 });
 
-app.post('/admin/password', requireAuth, async (req, res) => {
-  const body = req.body || {};
-  const currentPassword = typeof body.currentPassword === 'string' ? body.currentPassword : '';
-  const newPassword = typeof body.newPassword === 'string' ? body.newPassword : '';
-
-  if (!currentPassword || !newPassword) {
-    return res.status(400).json({ ok: false, error: 'missing_fields' });
-  }
+app.post('/admin/bundle/preview', requireRole('owner'), (req, res, next) => {
+  bundleUpload.single('bundle')(req, res, (err) => {
+    if (err) return next(err);
+    if (!req.file) {
+      return res.status(400).json({ ok: false, error: 'no_file' });
+    }
 
-  try {
-    const matches = await bcrypt.compare(currentPassword, adminCredentials.passwordHash);
-    if (!matches) {
-      return res.status(400).json({ ok: false, error: 'invalid_current_password' });
+    let bundle;
+    try {
+      bundle = readBundle(req.file.buffer);
+    } catch (error) {
+      if (error.code !== 'INVALID_BUNDLE') return next(error);
+      return res.status(400).json({ ok: false, error: `invalid bundle: ${error.message}` });
     }
-  } catch (err) {
-    console.error('[hub] Password compare failed', err);
-    return res.status(500).json({ ok: false, error: 'compare_failed' });
-  }
 
-  if (newPassword.length < 6) {
-    return res.status(400).json({ ok: false, error: 'weak_password' });
-  }
+    prunePendingImports();
+    pendingImports.forEach((pending, id) => {
+      if (pending.username === req.adminUser.username) pendingImports.delete(id);
+    });
+    const importId = crypto.randomUUID();
+    const expiresAt = Date.now() + BUNDLE_IMPORT_TTL_MS;
+    pendingImports.set(importId, { bundle, username: req.adminUser.username, expiresAt });
+    res.json({
+      ok: true,
+      importId,
+      expiresAt: new Date(expiresAt).toISOString(),
+      manifest: bundle.manifest,
+      preview: previewBundle(bundle),
+    });
+  });
+});
 
-  try {
-    const passwordHash = await bcrypt.hash(newPassword, 10);
-    saveAdminCredentials({ passwordHash });
-    res.json({ ok: true });
-  } catch (err) {
-    console.error('[hub] Failed to update password', err);
-    res.status(500).json({ ok: false, error: 'update_failed' });
+app.post('/admin/bundle/import', requireRole('owner'), (req, res) => {
+  prunePendingImports();
+  const importId = String((req.body || {}).importId || '');
+  const pending = pendingImports.get(importId);
+  if (!pending || pending.username !== req.adminUser.username) {
+    return res.status(404).json({ ok: false, error: 'import_not_found' });
   }
-});
+  pendingImports.delete(importId);
 
-app.get('/admin/config', requireAuth, (req, res) => {
-  res.json(loadConfig());
+  const before = { config: loadConfig(), services: loadServices(), notifications: loadNotificationChannels() };
+  const applied = applyBundle(pending.bundle, describeActor(req));
+  refreshImageVariants().catch((err) => console.warn('[hub] Image optimisation failed', err.message));
+  recordAudit(req, {
+    action: 'bundle.import',
+    target: pending.bundle.manifest.createdAt || null,
+    before,
+    after: { config: applied.config, services: applied.services, notifications: applied.channels },
+  });
+  res.json({
+    ok: true,
+    config: applied.config,
+    services: applied.services,
+    secretsImported: Boolean(pending.bundle.secrets),
+  });
 });
 
-app.post('/admin/config', requireAuth, (req, res) => {
-  const body = req.body || {};
-  const current = loadConfig();
-  const next = { ...current };
+app.post('/admin/upload-logo', requireRole('editor', 'uploads:write'), (req, res, next) => {
+  upload.single('logo')(req, res, async (err) => {
+    if (err) return next(err);
+    if (!req.file) {
+      return res.status(400).json({ ok: false, error: 'no_file' });
+    }
+    try {
+      if (path.extname(req.file.filename).toLowerCase() === '.svg' && !sanitizeSvgFile(req.file.path)) {
+        return res.status(400).json({ ok: false, error: 'invalid_svg' });
+      }
+      await refreshImageVariants();
+    } catch (error) {
+      return next(error);
+    }
 
-  if (Object.prototype.hasOwnProperty.call(body, 'siteLogo')) {
-    const value = typeof body.siteLogo === 'string' ? body.siteLogo.trim() : '';
-    next.siteLogo = value || DEFAULT_CONFIG.siteLogo;
-  }
+    const relativePath = `/static/uploads/${req.file.filename}`;
+    recordAudit(req, {
+      action: 'upload.create',
+      target: relativePath,
+      after: { path: relativePath, originalName: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size },
+    });
+    const image = imageManifest[req.file.filename];
+    res.json({ ok: true, path: relativePath, width: image ? image.width : null, height: image ? image.height : null });
+  });
+});
 
-  if (Object.prototype.hasOwnProperty.call(body, 'siteTitle')) {
-    const value = typeof body.siteTitle === 'string' ? body.siteTitle.trim() : '';
-    next.siteTitle = value || DEFAULT_CONFIG.siteTitle;
-  }
+// Image optimisation. Raster uploads get resized copies (IMAGE_VARIANT_WIDTHS,
+// never wider than the original) in their own format and as WebP, stored in
+// static/uploads/variants/<name>/. EXIF and other metadata are stripped from the
+// original, SVGs are sanitised. data/images.json remembers the intrinsic size
+// and the variants of each file, so /api/status can hand the page a srcset.
+const IMAGE_VARIANT_WIDTHS = [128, 256, 512, 1024];
+const IMAGE_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp', '.svg': 'svg' };
+const IMAGE_ENCODE_OPTIONS = { png: { compressionLevel: 9 }, jpeg: { quality: 85, mozjpeg: true }, webp: { quality: 82 } };
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const SVG_ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'switch', 'style',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'image',
+  'text', 'tspan', 'textPath',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+  'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA',
+  'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feMerge', 'feMergeNode', 'feMorphology',
+  'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence',
+  'animate', 'animateMotion', 'animateTransform', 'set', 'mpath',
+]);
+const SVG_ANIMATION_ELEMENTS = new Set(['animate', 'animateMotion', 'animateTransform', 'set']);
+const SVG_ALLOWED_ATTRIBUTES = new Set([
+  'xmlns', 'xmlns:xlink', 'xml:space', 'version', 'baseProfile',
+  'id', 'class', 'style', 'lang', 'media', 'type', 'href', 'xlink:href',
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr', 'width', 'height',
+  'd', 'points', 'pathLength', 'viewBox', 'preserveAspectRatio', 'transform', 'transform-origin',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+  'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset', 'opacity', 'color',
+  'display', 'visibility', 'overflow', 'clip-path', 'clip-rule', 'mask', 'filter',
+  'marker-start', 'marker-mid', 'marker-end', 'paint-order', 'vector-effect', 'mix-blend-mode', 'isolation',
+  'shape-rendering', 'text-rendering', 'image-rendering', 'color-interpolation', 'color-interpolation-filters',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant', 'letter-spacing', 'word-spacing',
+  'text-anchor', 'dominant-baseline', 'alignment-baseline', 'baseline-shift', 'text-decoration',
+  'writing-mode', 'direction', 'unicode-bidi', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust',
+  'startOffset', 'method', 'spacing', 'side',
+  'gradientUnits', 'gradientTransform', 'spreadMethod', 'offset', 'stop-color', 'stop-opacity',
+  'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits', 'maskUnits', 'maskContentUnits',
+  'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'orient',
+  'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'stdDeviation', 'mode', 'values', 'operator',
+  'k1', 'k2', 'k3', 'k4', 'order', 'kernelMatrix', 'divisor', 'bias', 'targetX', 'targetY', 'edgeMode',
+  'kernelUnitLength', 'preserveAlpha', 'surfaceScale', 'diffuseConstant', 'specularConstant',
+  'specularExponent', 'scale', 'xChannelSelector', 'yChannelSelector', 'azimuth', 'elevation',
+  'pointsAtX', 'pointsAtY', 'pointsAtZ', 'limitingConeAngle', 'flood-color', 'flood-opacity',
+  'lighting-color', 'radius', 'baseFrequency', 'numOctaves', 'seed', 'stitchTiles', 'tableValues',
+  'slope', 'intercept', 'amplitude', 'exponent',
+  'attributeName', 'attributeType', 'begin', 'dur', 'end', 'min', 'max', 'restart', 'repeatCount',
+  'repeatDur', 'calcMode', 'keyTimes', 'keySplines', 'keyPoints', 'from', 'to', 'by', 'additive',
+  'accumulate', 'path',
+]);
+// Links may only point inside the file or embed a raster image.
+const SVG_SAFE_HREF = /^(#|data:image\/(png|jpe?g|gif|webp);base64,)/i;
 
-  if (Object.prototype.hasOwnProperty.call(body, 'brandTagline')) {
-    const value = typeof body.brandTagline === 'string' ? body.brandTagline.trim() : '';
-    next.brandTagline = value || DEFAULT_CONFIG.brandTagline;
-  }
+let imageManifest = {};
+try {
+  imageManifest = JSON.parse(fs.readFileSync(IMAGE_MANIFEST_FILE, 'utf8')) || {};
+} catch (err) {
+  imageManifest = {};
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'introTitle')) {
-    const value = typeof body.introTitle === 'string' ? body.introTitle.trim() : '';
-    next.introTitle = value || DEFAULT_CONFIG.introTitle;
-  }
+function saveImageManifest() {
+  const tmp = `${IMAGE_MANIFEST_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(imageManifest, null, 2));
+  fs.renameSync(tmp, IMAGE_MANIFEST_FILE);
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'introBody')) {
-    const value =
-      typeof body.introBody === 'string' ? body.introBody.trim() : '';
-    next.introBody = value || DEFAULT_CONFIG.introBody;
-  }
+// CSS may only reference fragments of the same file: no @import, no external
+// url() and no escapes that could spell either.
+function isSafeSvgCss(css) {
+  return !/\\|@import|expression\s*\(|url\s*\(\s*['"]?\s*(?![\s'"#])/i.test(css);
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'contactWhatsapp')) {
-    const value =
-      typeof body.contactWhatsapp === 'string' ? body.contactWhatsapp.trim() : '';
-    next.contactWhatsapp = value || DEFAULT_CONFIG.contactWhatsapp;
+function isAllowedSvgElement(node) {
+  if (node.nodeType !== node.ELEMENT_NODE) return false;
+  if (node.namespaceURI !== SVG_NAMESPACE || !SVG_ALLOWED_ELEMENTS.has(node.localName)) return false;
+  if (node.localName === 'style') return isSafeSvgCss(node.textContent);
+  if (SVG_ANIMATION_ELEMENTS.has(node.localName)) {
+    // animating href or an event handler would bring back what the attribute checks removed
+    const target = node.getAttribute('attributeName');
+    return !target || (SVG_ALLOWED_ATTRIBUTES.has(target) && !/^(xlink:)?href$/.test(target));
   }
+  return true;
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'pageBackgroundColor')) {
-    const value =
-      typeof body.pageBackgroundColor === 'string' ? body.pageBackgroundColor.trim() : '';
-    if (HEX_COLOR_PATTERN.test(value)) {
-      next.pageBackgroundColor = value;
+function sanitizeSvgElement(element) {
+  Array.from(element.attributes).forEach((attr) => {
+    const value = attr.value.trim();
+    const allowed = SVG_ALLOWED_ATTRIBUTES.has(attr.name) && (
+      attr.name === 'href' || attr.name === 'xlink:href' ? SVG_SAFE_HREF.test(value) : isSafeSvgCss(value)
+    );
+    if (!allowed) element.removeAttributeNode(attr);
+  });
+  Array.from(element.childNodes).forEach((child) => {
+    if (child.nodeType === child.TEXT_NODE || child.nodeType === child.CDATA_SECTION_NODE) return;
+    if (isAllowedSvgElement(child)) {
+      sanitizeSvgElement(child);
+    } else {
+      element.removeChild(child);
     }
-  }
+  });
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'pageBackgroundOpacity')) {
-    const parsedOpacity = Number(body.pageBackgroundOpacity);
-    if (Number.isFinite(parsedOpacity)) {
-      next.pageBackgroundOpacity = Math.max(0, Math.min(1, parsedOpacity));
-    }
+// Rebuilds an SVG from an allow-list of elements and attributes, so nothing that
+// can run code (scripts, event handlers, javascript: links, foreign content)
+// survives. Embedded <img> SVGs never run scripts, but an upload opened directly
+// in the browser would. Returns null for input that is not a well-formed SVG
+// document: browsers may still render some of it (e.g. entities declared in a
+// DTD), so it cannot be passed through unchecked.
+function sanitizeSvg(svg) {
+  let doc;
+  try {
+    doc = new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning') throw new Error(message);
+      },
+    }).parseFromString(String(svg), 'image/svg+xml');
+  } catch (err) {
+    return null;
   }
+  const root = doc.documentElement;
+  if (!root || root.namespaceURI !== SVG_NAMESPACE || root.localName !== 'svg') return null;
+  sanitizeSvgElement(root);
+  return new XMLSerializer().serializeToString(root);
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'surfaceColor')) {
-    const value =
-      typeof body.surfaceColor === 'string' ? body.surfaceColor.trim() : '';
-    if (HEX_COLOR_PATTERN.test(value)) {
-      next.surfaceColor = value;
-    }
-  }
+// Contents of an upload as it may be stored: SVGs sanitised, null when an SVG
+// cannot be parsed.
+function safeUploadContent(name, buffer) {
+  if (path.extname(name).toLowerCase() !== '.svg') return buffer;
+  const clean = sanitizeSvg(buffer.toString('utf8'));
+  return clean === null ? null : Buffer.from(clean);
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'surfaceOpacity')) {
-    const parsedOpacity = Number(body.surfaceOpacity);
-    if (Number.isFinite(parsedOpacity)) {
-      next.surfaceOpacity = Math.max(0, Math.min(1, parsedOpacity));
-    }
-  }
+function writeFileAtomic(filePath, data) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, filePath);
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'heroVideo')) {
-    const value = typeof body.heroVideo === 'string' ? body.heroVideo.trim() : '';
-    next.heroVideo = value;
+// Replaces an SVG that multer wrote to disk with its sanitised markup, so the raw
+// upload is not what gets served. False, and the file is gone, when it is not a
+// well-formed SVG.
+function sanitizeSvgFile(filePath) {
+  const clean = sanitizeSvg(fs.readFileSync(filePath, 'utf8'));
+  if (clean === null) {
+    fs.unlinkSync(filePath);
+    return false;
   }
+  writeFileAtomic(filePath, clean);
+  return true;
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'heroVideoBlur')) {
-    const parsed = Number(body.heroVideoBlur);
-    if (Number.isFinite(parsed)) {
-      next.heroVideoBlur = Math.max(0, Math.min(40, parsed));
+async function optimizeImage(name) {
+  const filePath = path.join(UPLOAD_DIR, name);
+  const format = IMAGE_FORMATS[path.extname(name).toLowerCase()];
+  const dir = path.join(UPLOAD_VARIANTS_DIR, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  if (format === 'svg') {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const clean = sanitizeSvg(raw);
+    if (clean === null) {
+      writeFileAtomic(filePath, `<svg xmlns="${SVG_NAMESPACE}"/>`);
+      console.warn(`[hub] ${name} is not a well-formed SVG and has been emptied`);
+    } else if (clean !== raw) {
+      writeFileAtomic(filePath, clean);
+      console.warn(`[hub] Removed active content from ${name}`);
+    }
+  } else {
+    let input = fs.readFileSync(filePath);
+    const meta = await sharp(input).metadata();
+    // only re-encode when there is something to strip; rotate() bakes in the EXIF orientation
+    if (meta.exif || meta.xmp || meta.iptc || (meta.orientation && meta.orientation !== 1)) {
+      input = await sharp(input).rotate().toFormat(format, IMAGE_ENCODE_OPTIONS[format]).toBuffer();
+      writeFileAtomic(filePath, input);
     }
   }
 
-  if (Object.prototype.hasOwnProperty.call(body, 'heroOverlayColor')) {
-    const value = typeof body.heroOverlayColor === 'string' ? body.heroOverlayColor.trim() : '';
-    if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
-      next.heroOverlayColor = value;
+  let dimensions = {};
+  try {
+    dimensions = imageSize(filePath);
+  } catch (err) {
+    // an SVG without width/height or viewBox has no intrinsic size
+  }
+  const variants = [];
+  if (format !== 'svg' && dimensions.width) {
+    fs.mkdirSync(dir, { recursive: true });
+    const input = fs.readFileSync(filePath);
+    const widths = IMAGE_VARIANT_WIDTHS.filter((width) => width < dimensions.width).concat(dimensions.width);
+    const formats = format === 'webp' ? ['webp'] : [format, 'webp'];
+    for (const width of widths) {
+      for (const variantFormat of formats) {
+        // the full-size copy in the original format is the original itself
+        if (width === dimensions.width && variantFormat === format) continue;
+        const file = `${width}w.${variantFormat === 'jpeg' ? 'jpg' : variantFormat}`;
+        await sharp(input).resize({ width }).toFormat(variantFormat, IMAGE_ENCODE_OPTIONS[variantFormat]).toFile(path.join(dir, file));
+        variants.push({ path: `${UPLOAD_URL_PREFIX}variants/${name}/${file}`, width, format: variantFormat });
+      }
     }
   }
+  const stat = fs.statSync(filePath);
+  imageManifest[name] = {
+    format,
+    width: dimensions.width || null,
+    height: dimensions.height || null,
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    variants,
+  };
+  return imageManifest[name];
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'heroOverlayOpacity')) {
-    const parsedOpacity = Number(body.heroOverlayOpacity);
-    if (Number.isFinite(parsedOpacity)) {
-      next.heroOverlayOpacity = Math.max(0, Math.min(1, parsedOpacity));
+// Bring variants in line with static/uploads: process new or changed files and
+// drop what belongs to deleted ones. Runs at startup (which also covers files
+// from older versions and imported bundles) and after every upload change.
+// Calls are chained so two syncs never work on the same file at once.
+let imageSyncChain = Promise.resolve();
+
+function refreshImageVariants() {
+  const run = async () => {
+    const names = fs.readdirSync(UPLOAD_DIR).filter((name) => {
+      if (!UPLOAD_NAME_PATTERN.test(name) || !IMAGE_FORMATS[path.extname(name).toLowerCase()]) return false;
+      return fs.statSync(path.join(UPLOAD_DIR, name)).isFile();
+    });
+    let changed = false;
+    for (const name of names) {
+      const stat = fs.statSync(path.join(UPLOAD_DIR, name));
+      const entry = imageManifest[name];
+      if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) continue;
+      try {
+        await optimizeImage(name);
+      } catch (err) {
+        console.warn(`[hub] Failed to optimise ${name}`, err.message);
+        delete imageManifest[name];
+      }
+      changed = true;
     }
-  }
+    Object.keys(imageManifest).forEach((name) => {
+      if (names.includes(name)) return;
+      delete imageManifest[name];
+      changed = true;
+    });
+    let leftovers = [];
+    try {
+      leftovers = fs.readdirSync(UPLOAD_VARIANTS_DIR).filter((name) => !imageManifest[name]);
+    } catch (err) {
+      // no variants yet
+    }
+    leftovers.forEach((name) => fs.rmSync(path.join(UPLOAD_VARIANTS_DIR, name), { recursive: true, force: true }));
+    if (changed) saveImageManifest();
+  };
+  imageSyncChain = imageSyncChain.then(run, run);
+  return imageSyncChain;
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, 'welcomeImage')) {
-    const value = typeof body.welcomeImage === 'string' ? body.welcomeImage.trim() : '';
-    next.welcomeImage = value;
-  }
+// srcset data for the given upload URLs, as used by the landing page.
+function publicImageVariants(urls) {
+  const images = {};
+  urls.forEach((url) => {
+    const name = uploadNameFromUrl(url);
+    const entry = name && imageManifest[name];
+    if (!entry || !entry.variants.length) return;
+    const srcset = (format) => entry.variants
+      .filter((variant) => variant.format === format)
+      .map((variant) => `${variant.path} ${variant.width}w`)
+      .concat(format === entry.format ? `${url} ${entry.width}w` : [])
+      .join(', ');
+    images[url] = {
+      width: entry.width,
+      height: entry.height,
+      srcset: srcset(entry.format),
+      webpSrcset: entry.format === 'webp' ? '' : srcset('webp'),
+    };
+  });
+  return images;
+}
 
-  const saved = saveConfig(next);
-  res.json({ ok: true, config: saved });
-});
+if (RUN_AS_SERVER) refreshImageVariants().catch((err) => console.warn('[hub] Image optimisation failed', err.message));
 
-app.get('/admin/social-links', requireAuth, (req, res) => {
-  const config = loadConfig();
-  res.json({ ok: true, links: config.socialLinks });
+// Asset library: everything in static/uploads together with the places that
+// use it. References are found by walking config.json and services.json for
+// /static/uploads/ URLs, so new fields that hold an upload are picked up as well.
+const assetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+  fileFilter: uploadFileFilter,
 });
 
-app.post('/admin/social-links', requireAuth, (req, res) => {
-  const body = req.body || {};
-  const candidate = normalizeSocialLink({
-    id: crypto.randomUUID(),
-    label: body.label,
-    url: body.url,
-    icon: body.icon,
-  });
+function uploadNameFromUrl(value) {
+  if (typeof value !== 'string' || !value.startsWith(UPLOAD_URL_PREFIX)) return null;
+  const name = value.slice(UPLOAD_URL_PREFIX.length).split(/[?#]/)[0];
+  return UPLOAD_NAME_PATTERN.test(name) ? name : null;
+}
 
-  if (!candidate) {
-    return res.status(400).json({ ok: false, error: 'invalid_link' });
+function collectAssetUsage(value, where, usage) {
+  const name = uploadNameFromUrl(value);
+  if (name) {
+    if (!usage.has(name)) usage.set(name, []);
+    usage.get(name).push(where);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectAssetUsage(item, `${where}[${index}]`, usage));
+  } else if (isPlainObject(value)) {
+    Object.keys(value).forEach((key) => collectAssetUsage(value[key], where ? `${where}.${key}` : key, usage));
   }
+  return usage;
+}
 
-  const config = loadConfig();
-  const next = { ...config, socialLinks: [...config.socialLinks, candidate] };
-  const saved = saveConfig(next);
-  res.json({ ok: true, link: candidate, links: saved.socialLinks });
-});
+// name -> ['config.siteLogo', 'config.socialLinks[0].icon', 'services.service1.logo', ...]
+function assetUsage() {
+  const usage = collectAssetUsage(loadConfig(), 'config', new Map());
+  loadServices().forEach((service) => collectAssetUsage(service, `services.${service.name}`, usage));
+  return usage;
+}
 
-app.patch('/admin/social-links/:id', requireAuth, (req, res) => {
-  const linkId = String(req.params.id || '').trim();
-  if (!linkId) {
-    return res.status(400).json({ ok: false, error: 'missing_id' });
+function replaceAssetRefs(value, from, to) {
+  if (uploadNameFromUrl(value) === from) return value.replace(UPLOAD_URL_PREFIX + from, UPLOAD_URL_PREFIX + to);
+  if (Array.isArray(value)) return value.map((item) => replaceAssetRefs(item, from, to));
+  if (isPlainObject(value)) {
+    const next = {};
+    Object.keys(value).forEach((key) => {
+      next[key] = replaceAssetRefs(value[key], from, to);
+    });
+    return next;
   }
+  return value;
+}
 
-  const body = req.body || {};
-  const config = loadConfig();
-  const index = config.socialLinks.findIndex((link) => link.id === linkId);
-  if (index === -1) {
-    return res.status(404).json({ ok: false, error: 'not_found' });
+function describeAsset(name, usage) {
+  const filePath = path.join(UPLOAD_DIR, name);
+  const stat = fs.statSync(filePath);
+  let dimensions = null;
+  try {
+    const size = imageSize(filePath);
+    dimensions = { width: size.width, height: size.height };
+  } catch (err) {
+    // videos and unreadable images have no dimensions to show
   }
+  const usedBy = usage.get(name) || [];
+  return {
+    name,
+    path: UPLOAD_URL_PREFIX + name,
+    size: stat.size,
+    type: express.static.mime.lookup(name),
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null,
+    modifiedAt: stat.mtime.toISOString(),
+    usedBy,
+    orphaned: usedBy.length === 0,
+  };
+}
 
-  const updated = { ...config.socialLinks[index] };
-  if (Object.prototype.hasOwnProperty.call(body, 'label')) {
-    updated.label = typeof body.label === 'string' ? body.label.trim() : '';
-  }
-  if (Object.prototype.hasOwnProperty.call(body, 'url')) {
-    updated.url = typeof body.url === 'string' ? body.url.trim() : '';
-  }
-  if (Object.prototype.hasOwnProperty.call(body, 'icon')) {
-    updated.icon = typeof body.icon === 'string' ? body.icon.trim() : '';
-  }
+function listAssets() {
+  const usage = assetUsage();
+  return fs.readdirSync(UPLOAD_DIR)
+    .filter((name) => UPLOAD_NAME_PATTERN.test(name) && !name.startsWith('.'))
+    .filter((name) => fs.statSync(path.join(UPLOAD_DIR, name)).isFile())
+    .map((name) => describeAsset(name, usage))
+    .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
 
-  const normalised = normalizeSocialLink({ ...updated, id: linkId });
-  if (!normalised) {
-    return res.status(400).json({ ok: false, error: 'invalid_link' });
-  }
+function assetExists(name) {
+  return UPLOAD_NAME_PATTERN.test(name) && fs.existsSync(path.join(UPLOAD_DIR, name));
+}
 
-  const next = { ...config, socialLinks: [...config.socialLinks] };
-  next.socialLinks[index] = normalised;
-  const saved = saveConfig(next);
-  res.json({ ok: true, link: saved.socialLinks[index], links: saved.socialLinks });
+function sameExtension(a, b) {
+  const normalize = (name) => path.extname(name).toLowerCase().replace('.jpeg', '.jpg');
+  return normalize(a) === normalize(b);
+}
+
+app.get('/admin/assets', requireRole('viewer', 'uploads:read'), (req, res) => {
+  const assets = listAssets();
+  res.json({
+    ok: true,
+    assets,
+    totalSize: assets.reduce((sum, asset) => sum + asset.size, 0),
+    orphaned: assets.filter((asset) => asset.orphaned).length,
+  });
 });
 
-app.delete('/admin/social-links/:id', requireAuth, (req, res) => {
-  const linkId = String(req.params.id || '').trim();
-  if (!linkId) {
-    return res.status(400).json({ ok: false, error: 'missing_id' });
+// Bulk delete. Nothing is removed when any of the files is still referenced.
+app.post('/admin/assets/delete', requireRole('editor', 'uploads:write'), (req, res) => {
+  const names = Array.isArray(req.body && req.body.names) ? req.body.names.filter((name) => typeof name === 'string') : [];
+  if (!names.length) return res.status(400).json({ ok: false, error: 'no_assets' });
+  const missing = names.filter((name) => !assetExists(name));
+  if (missing.length) return res.status(404).json({ ok: false, error: 'not_found', names: missing });
+  const usage = assetUsage();
+  const inUse = names.filter((name) => usage.has(name));
+  if (inUse.length) {
+    return res.status(409).json({ ok: false, error: 'asset_in_use', names: inUse, usedBy: Object.fromEntries(inUse.map((name) => [name, usage.get(name)])) });
   }
+  const deleted = names.map((name) => {
+    const asset = describeAsset(name, usage);
+    fs.unlinkSync(path.join(UPLOAD_DIR, name));
+    recordAudit(req, { action: 'upload.delete', target: asset.path, before: { path: asset.path, type: asset.type, size: asset.size } });
+    return name;
+  });
+  refreshImageVariants().catch((err) => console.warn('[hub] Image optimisation failed', err.message));
+  res.json({ ok: true, deleted });
+});
 
-  const config = loadConfig();
-  const nextLinks = config.socialLinks.filter((link) => link.id !== linkId);
-  if (nextLinks.length === config.socialLinks.length) {
-    return res.status(404).json({ ok: false, error: 'not_found' });
-  }
+// Rename a file and point every reference in the config and services at the new name.
+app.patch('/admin/assets/:name', requireRole('editor', 'uploads:write'), async (req, res, next) => {
+  try {
+    const from = req.params.name;
+    if (!assetExists(from)) return res.status(404).json({ ok: false, error: 'not_found' });
+    let to = typeof (req.body && req.body.name) === 'string' ? req.body.name.trim() : '';
+    if (to && !path.extname(to)) to += path.extname(from);
+    if (!UPLOAD_NAME_PATTERN.test(to) || to.startsWith('.')) return res.status(400).json({ ok: false, error: 'invalid_name' });
+    if (!sameExtension(from, to)) return res.status(400).json({ ok: false, error: 'extension_mismatch' });
+    if (to === from) return res.json({ ok: true, asset: describeAsset(from, assetUsage()) });
+    if (fs.existsSync(path.join(UPLOAD_DIR, to))) return res.status(409).json({ ok: false, error: 'asset_exists' });
 
-  const saved = saveConfig({ ...config, socialLinks: nextLinks });
-  res.json({ ok: true, links: saved.socialLinks });
+    fs.renameSync(path.join(UPLOAD_DIR, from), path.join(UPLOAD_DIR, to));
+    const author = describeActor(req);
+    const config = loadConfig();
+    const nextConfig = replaceAssetRefs(config, from, to);
+    if (JSON.stringify(nextConfig) !== JSON.stringify(config)) saveConfig(nextConfig, author);
+    const services = loadServices();
+    const nextServices = replaceAssetRefs(services, from, to);
+    if (JSON.stringify(nextServices) !== JSON.stringify(services)) saveServices(nextServices, author);
+    await refreshImageVariants();
+
+    const asset = describeAsset(to, assetUsage());
+    recordAudit(req, {
+      action: 'upload.rename',
+      target: asset.path,
+      before: { path: UPLOAD_URL_PREFIX + from },
+      after: { path: asset.path, usedBy: asset.usedBy },
+    });
+    res.json({ ok: true, asset });
+  } catch (error) {
+    return next(error);
+  }
 });
 
-app.post('/admin/upload-logo', requireAuth, (req, res, next) => {
-  upload.single('logo')(req, res, (err) => {
+// Replace the contents of a file but keep its name, so every reference picks
+// up the new version without touching the config. The file type must stay the same.
+app.put('/admin/assets/:name', requireRole('editor', 'uploads:write'), (req, res, next) => {
+  const name = req.params.name;
+  if (!assetExists(name)) return res.status(404).json({ ok: false, error: 'not_found' });
+  assetUpload.single('file')(req, res, async (err) => {
     if (err) return next(err);
-    if (!req.file) {
-      return res.status(400).json({ ok: false, error: 'no_file' });
+    if (!req.file) return res.status(400).json({ ok: false, error: 'no_file' });
+    if (!sameExtension(name, 'upload' + storedExtension(req.file.originalname, req.file.mimetype))) {
+      return res.status(400).json({ ok: false, error: 'type_mismatch' });
     }
-
-    const relativePath = `/static/uploads/${req.file.filename}`;
-    res.json({ ok: true, path: relativePath });
+    const content = safeUploadContent(name, req.file.buffer);
+    if (!content) return res.status(400).json({ ok: false, error: 'invalid_svg' });
+    const filePath = path.join(UPLOAD_DIR, name);
+    const before = describeAsset(name, assetUsage());
+    writeFileAtomic(filePath, content);
+    try {
+      await refreshImageVariants();
+    } catch (error) {
+      return next(error);
+    }
+    const asset = describeAsset(name, assetUsage());
+    recordAudit(req, {
+      action: 'upload.replace',
+      target: asset.path,
+      before: { size: before.size, width: before.width, height: before.height },
+      after: { originalName: req.file.originalname, size: asset.size, width: asset.width, height: asset.height },
+    });
+    res.json({ ok: true, asset });
   });
 });
 
-// Reverse-proxy routes: expose services under /service1/ and /service2/
-app.get('/service1', (req, res) => res.redirect(301, '/service1/'));
-app.get('/service2', (req, res) => res.redirect(301, '/service2/'));
-app.use('/service1', createProxyMiddleware({
-  target: 'http://service1:3000',
-  changeOrigin: true,
-  pathRewrite: { '^/service1': '' },
-  logLevel: 'warn'
-}));
-
-app.use('/service2', createProxyMiddleware({
-  target: 'http://service2:3001',
-  changeOrigin: true,
-  pathRewrite: { '^/service2': '' },
-  logLevel: 'warn'
-}));
+// Anything not matched above, including prefixes of services that were removed.
+// The admin and status APIs keep answering in JSON whatever the Accept header says.
+app.use((req, res) => {
+  if (req.path.startsWith('/admin/') || req.path.startsWith('/api/')) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  return sendErrorPage(req, res, 404, 'not_found');
+});
 
 app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -755,4 +5341,30 @@ app.use((err, req, res, next) => {
   return next();
 });
 
-app.listen(PORT, () => console.log(`Hub listening on ${PORT}`));
+if (RUN_AS_SERVER) {
+  const server = app.listen(PORT, () => console.log(`Hub listening on ${PORT}`));
+  server.on('upgrade', handleProxyUpgrade);
+}
+
+// Internals exercised by the tests in test/.
+module.exports = {
+  accessLogPath,
+  app,
+  applyHealthSettings,
+  applyTargets,
+  base32Decode,
+  base32Encode,
+  buildProxyRoute,
+  FileSessionStore,
+  matchTotp,
+  normalizeService,
+  normalizeTargetPath,
+  parseFallbackPaths,
+  pickTarget,
+  readBundle,
+  rebaseTranslations,
+  recordUpstreamResult,
+  sanitizeSvg,
+  searchAccessLog,
+  totpCode,
+};
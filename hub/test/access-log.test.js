@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.HUB_ACCESS_LOG_SEARCH_MB = '0.1';
+const { accessLogPath, searchAccessLog } = require('./hub');
+
+const LOG_FILE = path.join(process.env.HUB_DATA_DIR, 'access.log');
+
+test('query values are not written to the access log', () => {
+  assert.strictEqual(accessLogPath('/service1/submit'), '/service1/submit');
+  assert.strictEqual(accessLogPath('/?preview=abc123&lang=en'), '/?preview=*&lang=*');
+  assert.strictEqual(accessLogPath('/admin?next=%2F%3Fpreview%3Dabc123'), '/admin?next=*');
+  assert.strictEqual(accessLogPath('/metrics?token=hub_secret&&flag'), '/metrics?token=*&flag=*');
+});
+
+function writeLog(file, entries) {
+  fs.writeFileSync(file, entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+test('search goes from the newest entries to the rotated files', async () => {
+  writeLog(LOG_FILE, [{ id: 'req-1', service: 'service1', status: 200 }, { id: 'req-2', service: 'service2', status: 200 }, { id: 'req-3', service: 'service1', status: 503 }]);
+  writeLog(`${LOG_FILE}.1`, [{ id: 'req-0', service: 'service1', status: 502 }]);
+
+  const page = await searchAccessLog({ service: 'service1' }, 0, 2);
+  assert.deepStrictEqual(page.entries.map((entry) => entry.id), ['req-3', 'req-1']);
+  assert.strictEqual(page.more, true);
+  const next = await searchAccessLog({ service: 'service1' }, 2, 2);
+  assert.deepStrictEqual(next.entries.map((entry) => entry.id), ['req-0']);
+  assert.deepStrictEqual({ more: next.more, truncated: next.truncated }, { more: false, truncated: false });
+  assert.deepStrictEqual((await searchAccessLog({ status: '5xx' }, 0, 10)).entries.map((entry) => entry.id), ['req-3', 'req-0']);
+});
+
+test('search reads large files in chunks and stops at the size limit', async () => {
+  // about 200 KB: lines straddle the 64 KB reads, and the 0.1 MB limit ends the search halfway
+  const entries = [];
+  for (let index = 0; index < 2000; index += 1) entries.push({ id: `req-${index}`, status: 200, path: `/service1/${'x'.repeat(60)}` });
+  writeLog(LOG_FILE, entries);
+  writeLog(`${LOG_FILE}.1`, [{ id: 'req-old', status: 200 }]);
+
+  const result = await searchAccessLog({}, 0, 5000);
+  assert.strictEqual(result.truncated, true);
+  assert.ok(result.entries.length > 500 && result.entries.length < 1500);
+  result.entries.forEach((entry, index) => assert.strictEqual(entry.id, `req-${1999 - index}`));
+});
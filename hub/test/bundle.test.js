@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { readBundle } = require('./hub');
+
+function bundle(extraFiles = {}) {
+  const zip = new AdmZip();
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify({ format: 'linart-hub-bundle', version: 1 })));
+  zip.addFile('config.json', Buffer.from('{}'));
+  zip.addFile('services.json', Buffer.from('[]'));
+  Object.entries(extraFiles).forEach(([name, data]) => zip.addFile(name, Buffer.from(data)));
+  return zip.toBuffer();
+}
+
+// Rewrites the uncompressed size every central directory entry declares.
+function declareSize(buffer, size) {
+  for (let offset = buffer.indexOf('PK\x01\x02'); offset !== -1; offset = buffer.indexOf('PK\x01\x02', offset + 4)) {
+    buffer.writeUInt32LE(size, offset + 24);
+  }
+  return buffer;
+}
+
+test('reads a small bundle', () => {
+  const { services } = readBundle(bundle({ 'uploads/logo.png': 'png' }));
+  assert.deepStrictEqual(services, []);
+});
+
+test('rejects a bundle with too many files', () => {
+  const files = {};
+  for (let i = 0; i < 5001; i += 1) files[`uploads/f${i}.png`] = '';
+  assert.throws(() => readBundle(bundle(files)), { code: 'INVALID_BUNDLE', message: /more than 5000 files/ });
+});
+
+test('rejects a bundle whose files unpack to more than the limit in total', () => {
+  const buffer = declareSize(bundle({ 'uploads/a.png': 'a', 'uploads/b.png': 'b' }), 150 * 1024 * 1024);
+  assert.throws(() => readBundle(buffer), { code: 'INVALID_BUNDLE', message: /contents are too large/ });
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFallbackPaths } = require('./hub');
+
+test('accepts a comma-separated list or an array of paths', () => {
+  assert.deepStrictEqual(parseFallbackPaths('/submit, /suggest/ ,,/submit'), ['/submit', '/suggest']);
+  assert.deepStrictEqual(parseFallbackPaths(['/api/suggest', ' /files ']), ['/api/suggest', '/files']);
+  assert.deepStrictEqual(parseFallbackPaths(''), []);
+  assert.deepStrictEqual(parseFallbackPaths(undefined), []);
+});
+
+test('rejects anything that is not a plain root-relative path', () => {
+  for (const value of ['submit', '/sub mit', '/a/../admin', '/./x', '/x?y=1', 'http://example.com/x', '//example.com', '/a//b']) {
+    assert.strictEqual(parseFallbackPaths(value), null, value);
+  }
+  assert.strictEqual(parseFallbackPaths([5]), null);
+});
+
+test('rejects paths the hub serves itself, and paths above or below them', () => {
+  for (const value of ['/admin', '/admin/users', '/static/uploads', '/api/status', '/metrics']) {
+    assert.strictEqual(parseFallbackPaths(value), null, value);
+  }
+  assert.strictEqual(parseFallbackPaths('/api'), null);
+  assert.deepStrictEqual(parseFallbackPaths('/api/suggest, /statuses, /administrator'), ['/api/suggest', '/statuses', '/administrator']);
+});
+
+test('limits the number of paths', () => {
+  const paths = Array.from({ length: 21 }, (_, index) => `/p${index}`);
+  assert.strictEqual(parseFallbackPaths(paths), null);
+  assert.strictEqual(parseFallbackPaths(paths.slice(0, 20)).length, 20);
+});
@@ -0,0 +1,12 @@
+// Loads server.js for the tests: data, services.json, config.json and admin.json
+// go to a throwaway directory, and as the file is not the main module it neither
+// listens nor starts background jobs.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HUB_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hub-test-'));
+process.env.HUB_CONFIG_DIR = process.env.HUB_DATA_DIR;
+process.on('exit', () => fs.rmSync(process.env.HUB_DATA_DIR, { recursive: true, force: true }));
+
+module.exports = require('../server');
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { buildProxyRoute, normalizeService } = require('./hub');
+
+// An upstream that records the headers of every request and upgrade it gets,
+// and a bare server in front of it that hands everything to the service's proxy.
+async function startProxy(t) {
+  const received = [];
+  const upstream = http.createServer((req, res) => {
+    received.push(req.headers);
+    res.end('ok');
+  });
+  upstream.on('upgrade', (req, socket) => {
+    received.push(req.headers);
+    socket.end('HTTP/1.1 101 Switching Protocols\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n\r\n');
+  });
+  upstream.listen(0, '127.0.0.1');
+  await once(upstream, 'listening');
+
+  const route = buildProxyRoute(normalizeService({
+    name: 'upstream',
+    prefix: '/upstream',
+    target: `http://127.0.0.1:${upstream.address().port}`,
+    websocket: true,
+  }));
+  const prepare = (req) => {
+    req.requestId = 'test';
+    req.hubTarget = route.target;
+    req.hubIdentityToken = 'signed.identity.token';
+  };
+  const hub = http.createServer((req, res) => {
+    prepare(req);
+    route.proxy(req, res, () => res.end());
+  });
+  hub.on('upgrade', (req, socket, head) => {
+    prepare(req);
+    route.proxy.upgrade(req, socket, head);
+  });
+  hub.listen(0, '127.0.0.1');
+  await once(hub, 'listening');
+  t.after(() => {
+    hub.close();
+    upstream.close();
+  });
+  return { port: hub.address().port, received };
+}
+
+const CLIENT_HEADERS = {
+  cookie: 'theme=dark; hub.sid=s%3Aowner-session; hub.service=upstream',
+  authorization: 'Bearer hub_token',
+  'x-hub-identity': 'forged',
+};
+
+test('requests reach the upstream without the hub session cookie or API token', async (t) => {
+  const { port, received } = await startProxy(t);
+  const req = http.get({ port, path: '/upstream/page', headers: CLIENT_HEADERS });
+  const [res] = await once(req, 'response');
+  res.resume();
+  await once(res, 'end');
+
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].cookie, 'theme=dark; hub.service=upstream');
+  assert.strictEqual(received[0].authorization, undefined);
+  assert.strictEqual(received[0]['x-hub-identity'], 'signed.identity.token');
+});
+
+test('WebSocket upgrades reach the upstream without them either', async (t) => {
+  const { port, received } = await startProxy(t);
+  const req = http.get({
+    port,
+    path: '/upstream/ws',
+    headers: { ...CLIENT_HEADERS, cookie: 'hub.sid=s%3Aowner-session', connection: 'Upgrade', upgrade: 'websocket' },
+  });
+  const [, socket] = await once(req, 'upgrade');
+  socket.destroy();
+
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].cookie, undefined);
+  assert.strictEqual(received[0].authorization, undefined);
+  assert.strictEqual(received[0]['x-hub-identity'], 'signed.identity.token');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const AdmZip = require('adm-zip');
+
+process.env.HUB_ADMIN_PASSWORD = 'test-password';
+const { app, normalizeService } = require('./hub');
+
+const RESERVED = ['/admin', '/Admin/', 'admin/users', '/api', '/api/status', '/api/other', '/static', '/status', '/metrics', '/'];
+
+// Signs in as the default owner of a fresh admin.json and returns a request helper.
+async function signIn(t) {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const login = await fetch(`${base}/admin/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: 'password=test-password',
+    redirect: 'manual',
+  });
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  return async (method, url, body) => {
+    const headers = { cookie, accept: 'application/json' };
+    if (!(body instanceof FormData)) headers['content-type'] = 'application/json';
+    const res = await fetch(`${base}${url}`, { method, headers, body: body instanceof FormData ? body : JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+test('service prefixes may not cover the hub\'s own paths', () => {
+  for (const prefix of RESERVED) {
+    assert.strictEqual(normalizeService({ name: 'x', prefix, target: 'http://x:1' }), null, prefix);
+  }
+  assert.strictEqual(normalizeService({ name: 'admin', target: 'http://x:1' }), null);
+  assert.strictEqual(normalizeService({ name: 'x', prefix: '/administration', target: 'http://x:1' }).prefix, '/administration');
+  assert.strictEqual(normalizeService({ name: 'x', prefix: 'apis', target: 'http://x:1' }).prefix, '/apis');
+});
+
+test('POST /admin/services refuses a reserved prefix', async (t) => {
+  const request = await signIn(t);
+  for (const prefix of RESERVED) {
+    const res = await request('POST', '/admin/services', { name: 'svc-post', prefix, target: 'http://svc:3000' });
+    assert.deepStrictEqual(res, { status: 400, body: { ok: false, error: 'reserved_prefix' } }, prefix);
+  }
+  const named = await request('POST', '/admin/services', { name: 'status', target: 'http://svc:3000' });
+  assert.strictEqual(named.body.error, 'reserved_prefix');
+  assert.strictEqual((await request('GET', '/admin/services')).body.some((service) => service.name === 'svc-post'), false);
+});
+
+test('PATCH /admin/services/:name refuses a reserved prefix', async (t) => {
+  const request = await signIn(t);
+  const created = await request('POST', '/admin/services', { name: 'svc-patch', prefix: '/svc-patch', target: 'http://svc:3000' });
+  assert.strictEqual(created.body.ok, true);
+  for (const prefix of RESERVED) {
+    const res = await request('PATCH', '/admin/services/svc-patch', { prefix });
+    assert.deepStrictEqual(res, { status: 400, body: { ok: false, error: 'reserved_prefix' } }, prefix);
+  }
+  const service = (await request('GET', '/admin/services')).body.find((item) => item.name === 'svc-patch');
+  assert.strictEqual(service.prefix, '/svc-patch');
+  // the admin panel is still the hub's
+  assert.strictEqual((await request('GET', '/admin/me')).status, 200);
+});
+
+test('bundle import refuses a service with a reserved prefix', async (t) => {
+  const request = await signIn(t);
+  const zip = new AdmZip();
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify({ format: 'linart-hub-bundle', version: 1 })));
+  zip.addFile('config.json', Buffer.from('{}'));
+  zip.addFile('services.json', Buffer.from(JSON.stringify([
+    { name: 'fine', prefix: '/fine', target: 'http://fine:3000' },
+    { name: 'takeover', prefix: '/admin', target: 'http://evil:3000' },
+  ])));
+  const form = new FormData();
+  form.append('bundle', new Blob([zip.toBuffer()]), 'bundle.zip');
+  const res = await request('POST', '/admin/bundle/preview', form);
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /entry 1 uses a path reserved by the hub/);
+});
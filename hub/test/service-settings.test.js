@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyHealthSettings, normalizeTargetPath } = require('./hub');
+
+test('health paths are kept on the service target', () => {
+  assert.strictEqual(normalizeTargetPath('/health'), '/health');
+  assert.strictEqual(normalizeTargetPath(' health?full=1 '), '/health?full=1');
+});
+
+test('health paths that resolve against another host are rejected', () => {
+  for (const value of ['//example.com/x', '/\\example.com/x', 'http://example.com/x', 'javascript:x', '/\t/example.com', '/a b']) {
+    assert.strictEqual(normalizeTargetPath(value), null, value);
+    assert.strictEqual(applyHealthSettings({}, { healthPath: value }), 'invalid_health_path', value);
+  }
+});
+
+test('an empty health path falls back to the default', () => {
+  const payload = {};
+  assert.strictEqual(applyHealthSettings(payload, { healthPath: '' }), null);
+  assert.strictEqual(payload.healthPath, '');
+  assert.strictEqual(applyHealthSettings({}, { healthPath: 5 }), 'invalid_health_path');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FileSessionStore } = require('./hub');
+
+function createStore() {
+  // inside the test data directory, which is removed when the run ends
+  return new FileSessionStore(fs.mkdtempSync(path.join(process.env.HUB_DATA_DIR, 'sessions-')));
+}
+
+function session(minutes = 60) {
+  return { cookie: { expires: new Date(Date.now() + minutes * 60 * 1000).toISOString() }, authenticated: true, username: 'admin' };
+}
+
+function callback(fn) {
+  return new Promise((resolve, reject) => fn((err, value) => (err ? reject(err) : resolve(value))));
+}
+
+test('stores sessions under a hash of the session id', async () => {
+  const store = createStore();
+  await callback((done) => store.set('sid-1', session(), done));
+  assert.ok(fs.existsSync(store.file(FileSessionStore.handle('sid-1'))));
+  assert.strictEqual(fs.readdirSync(store.dir).some((name) => name.includes('sid-1')), false);
+  assert.strictEqual((await callback((done) => store.get('sid-1', done))).username, 'admin');
+});
+
+test('a revoked session is not written back by a request that was still running', async () => {
+  const store = createStore();
+  const sess = session();
+  await callback((done) => store.set('sid-1', sess, done));
+  store.remove(FileSessionStore.handle('sid-1'));
+
+  // what express-session does when that request ends: touch, or set if it changed the session
+  await callback((done) => store.touch('sid-1', session(120), done));
+  await callback((done) => store.set('sid-1', { ...sess, lastSeenAt: Date.now() }, done));
+
+  assert.strictEqual(fs.existsSync(store.file(FileSessionStore.handle('sid-1'))), false);
+  assert.strictEqual(await callback((done) => store.get('sid-1', done)), null);
+});
+
+test('touch does not recreate a session whose file is gone', async () => {
+  const store = createStore();
+  await callback((done) => store.set('sid-1', session(), done));
+  fs.unlinkSync(store.file(FileSessionStore.handle('sid-1')));
+  await callback((done) => store.touch('sid-1', session(120), done));
+  assert.strictEqual(fs.existsSync(store.file(FileSessionStore.handle('sid-1'))), false);
+});
+
+test('expired sessions are dropped on read', async () => {
+  const store = createStore();
+  await callback((done) => store.set('sid-1', session(-1), done));
+  assert.strictEqual(await callback((done) => store.get('sid-1', done)), null);
+  assert.deepStrictEqual(store.list(), []);
+});
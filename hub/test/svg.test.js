@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeSvg } = require('./hub');
+
+const NS = 'xmlns="http://www.w3.org/2000/svg"';
+
+test('keeps ordinary drawing content', () => {
+  const svg = `<svg ${NS} viewBox="0 0 10 10"><defs><linearGradient id="g"><stop offset="0" stop-color="#fff"/></linearGradient></defs>` +
+    '<rect width="10" height="10" fill="url(#g)"/><text x="1" y="5">a &amp; b</text></svg>';
+  assert.strictEqual(sanitizeSvg(svg), svg);
+});
+
+test('rejects markup that is not well-formed', () => {
+  assert.strictEqual(sanitizeSvg(`<svg ${NS}><scr<iframe>ipt>alert(1)</script></svg>`), null);
+  assert.strictEqual(sanitizeSvg('<svg/onload=alert(1)>'), null);
+  assert.strictEqual(sanitizeSvg('not svg at all'), null);
+});
+
+test('rejects entities declared in a DTD', () => {
+  const svg = `<!DOCTYPE svg [<!ENTITY x "<script>alert(1)</script>">]><svg ${NS}>&x;</svg>`;
+  assert.strictEqual(sanitizeSvg(svg), null);
+});
+
+test('rejects documents whose root is not an SVG element', () => {
+  assert.strictEqual(sanitizeSvg('<html xmlns="http://www.w3.org/1999/xhtml"><script>alert(1)</script></html>'), null);
+});
+
+test('drops elements outside the allow-list, including foreign namespaces', () => {
+  const svg = `<svg ${NS}><script>alert(1)</script><foreignObject><div xmlns="http://www.w3.org/1999/xhtml">x</div></foreignObject>` +
+    '<g xmlns="http://www.w3.org/1999/xhtml"><script>alert(1)</script></g><circle r="1"/></svg>';
+  assert.strictEqual(sanitizeSvg(svg), `<svg ${NS}><circle r="1"/></svg>`);
+});
+
+test('drops event handlers whatever separates them', () => {
+  const clean = sanitizeSvg(`<svg ${NS} onload="alert(1)"><rect\nonclick='alert(1)' width="1"/></svg>`);
+  assert.strictEqual(clean, `<svg ${NS}><rect width="1"/></svg>`);
+});
+
+test('checks links after entities are decoded', () => {
+  const svg = `<svg ${NS} xmlns:xlink="http://www.w3.org/1999/xlink">` +
+    '<use href="&#106;avascript:alert(1)"/><use xlink:href=" javascript:alert(1)"/><use href="#icon"/>' +
+    '<image href="data:image/png;base64,AAAA"/><image href="data:image/svg+xml;base64,AAAA"/><image href="https://example.com/x.png"/></svg>';
+  assert.strictEqual(
+    sanitizeSvg(svg),
+    `<svg ${NS} xmlns:xlink="http://www.w3.org/1999/xlink"><use/><use/><use href="#icon"/><image href="data:image/png;base64,AAAA"/><image/><image/></svg>`
+  );
+});
+
+test('keeps CSS only when it stays inside the file', () => {
+  const svg = `<svg ${NS}><style>rect { fill: red }</style><style>@import url(https://example.com/x.css);</style>` +
+    '<rect style="fill: url( \'#g\' )"/><rect style="fill: url(https://example.com/)"/><rect style="fill: \\75rl(x)"/></svg>';
+  assert.strictEqual(sanitizeSvg(svg), `<svg ${NS}><style>rect { fill: red }</style><rect style="fill: url( '#g' )"/><rect/><rect/></svg>`);
+});
+
+test('drops animations that would set links or handlers', () => {
+  const svg = `<svg ${NS}><set attributeName="onbegin" to="alert(1)"/><animate attributeName="href" values="javascript:alert(1)"/>` +
+    '<animate attributeName="opacity" from="0" to="1" dur="1s"/></svg>';
+  assert.strictEqual(sanitizeSvg(svg), `<svg ${NS}><animate attributeName="opacity" from="0" to="1" dur="1s"/></svg>`);
+});
+
+test('drops editor metadata, comments and processing instructions', () => {
+  const svg = `<?xml version="1.0"?><svg ${NS} xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" inkscape:version="1">` +
+    '<!-- comment --><?xml-stylesheet href="x.css"?><metadata/><path d="M0 0h1"/></svg>';
+  assert.strictEqual(sanitizeSvg(svg), `<svg ${NS}><path d="M0 0h1"/></svg>`);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyTargets, pickTarget, recordUpstreamResult } = require('./hub');
+
+const A = 'http://service1-a:3000';
+const B = 'http://service1-b:3000';
+let routes = 0;
+
+// breakers are kept per service name, so every test gets a service of its own
+function route(loadBalancing = 'failover') {
+  routes += 1;
+  return { name: `service-${routes}`, targets: [A, B], service: { loadBalancing }, nextTarget: 0 };
+}
+
+function fail(r, target, times) {
+  for (let index = 0; index < times; index += 1) recordUpstreamResult(r, target, false);
+}
+
+test('a plain target is checked like the targets list', () => {
+  const payload = { target: A, targets: [A, B] };
+  assert.strictEqual(applyTargets(payload, { target: ' http://service1-c:3000 ' }), null);
+  assert.deepStrictEqual(payload, { target: 'http://service1-c:3000', targets: ['http://service1-c:3000', B] });
+  for (const target of ['', 'service1:3000', 'file:///etc/passwd', 'javascript:alert(1)']) {
+    assert.strictEqual(applyTargets({ target: A, targets: [A] }, { target }), 'invalid_target', target);
+  }
+  assert.strictEqual(applyTargets({}, { targets: [A, 'ftp://service1-b'] }), 'invalid_targets');
+});
+
+test('a plain target that matches another entry does not list it twice', () => {
+  const payload = { target: A, targets: [A, B] };
+  assert.strictEqual(applyTargets(payload, { target: B }), null);
+  assert.deepStrictEqual(payload.targets, [B]);
+});
+
+test('failover sends everything to the first target until its breaker opens', () => {
+  const r = route();
+  assert.strictEqual(pickTarget(r), A);
+  assert.strictEqual(pickTarget(r), A);
+  fail(r, A, 4);
+  assert.strictEqual(pickTarget(r), A);
+  fail(r, A, 1);
+  assert.strictEqual(pickTarget(r), B);
+  assert.strictEqual(pickTarget(r, [B]), null);
+});
+
+test('round-robin alternates and skips targets already tried', () => {
+  const r = route('round-robin');
+  assert.deepStrictEqual([pickTarget(r), pickTarget(r), pickTarget(r)], [A, B, A]);
+  assert.strictEqual(pickTarget(r, [A]), B);
+});
+
+test('a success resets the failure count', () => {
+  const r = route();
+  fail(r, A, 4);
+  recordUpstreamResult(r, A, true);
+  fail(r, A, 4);
+  assert.strictEqual(pickTarget(r), A);
+});
+
+test('after the cooldown one probe goes through and its result decides', (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const r = { ...route(), targets: [A] };
+  fail(r, A, 5);
+  assert.strictEqual(pickTarget(r), null);
+
+  now += 30 * 1000;
+  assert.strictEqual(pickTarget(r), A);
+  // while the probe is out nobody else gets through
+  assert.strictEqual(pickTarget(r), null);
+  recordUpstreamResult(r, A, false);
+  assert.strictEqual(pickTarget(r), null);
+
+  now += 30 * 1000;
+  assert.strictEqual(pickTarget(r), A);
+  recordUpstreamResult(r, A, true);
+  assert.strictEqual(pickTarget(r), A);
+  assert.strictEqual(pickTarget(r), A);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, totpCode, matchTotp } = require('./hub');
+
+// RFC 6238 appendix B, SHA-1 key "12345678901234567890"
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round-trips and ignores padding, spaces and case', () => {
+  assert.strictEqual(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.strictEqual(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString(), '12345678901234567890');
+});
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.strictEqual(totpCode(SECRET, Math.floor(59 / 30)), '287082');
+  assert.strictEqual(totpCode(SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.strictEqual(totpCode(SECRET, Math.floor(1234567890 / 30)), '005924');
+});
+
+test('accepts one step of drift either way and nothing further', (t) => {
+  t.mock.method(Date, 'now', () => 1234567890 * 1000);
+  const current = Math.floor(1234567890 / 30);
+  assert.strictEqual(matchTotp(SECRET, totpCode(SECRET, current), 0), current);
+  assert.strictEqual(matchTotp(SECRET, totpCode(SECRET, current - 1), 0), current - 1);
+  assert.strictEqual(matchTotp(SECRET, totpCode(SECRET, current + 1), 0), current + 1);
+  assert.strictEqual(matchTotp(SECRET, totpCode(SECRET, current - 2), 0), -1);
+  assert.strictEqual(matchTotp(SECRET, totpCode(SECRET, current + 2), 0), -1);
+});
+
+test('never accepts a code from a step that was already used', (t) => {
+  t.mock.method(Date, 'now', () => 1234567890 * 1000);
+  const current = Math.floor(1234567890 / 30);
+  const code = totpCode(SECRET, current);
+  assert.strictEqual(matchTotp(SECRET, code, current), -1);
+  assert.strictEqual(matchTotp(SECRET, totpCode(SECRET, current - 1), current), -1);
+});
+
+test('rejects malformed codes', (t) => {
+  t.mock.method(Date, 'now', () => 1234567890 * 1000);
+  assert.strictEqual(matchTotp(SECRET, '', 0), -1);
+  assert.strictEqual(matchTotp(SECRET, '12345', 0), -1);
+  assert.strictEqual(matchTotp(SECRET, 'abcdef', 0), -1);
+  assert.strictEqual(matchTotp(SECRET, '005 924', 0), Math.floor(1234567890 / 30));
+});
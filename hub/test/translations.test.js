@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rebaseTranslations } = require('./hub');
+
+const FIELDS = ['displayName', 'description'];
+const service = {
+  displayName: 'PDF generator',
+  description: 'Fills PDFs',
+  translations: { de: { displayName: 'PDF-Generator' }, ru: { displayName: 'Генератор PDF', description: 'Заполняет PDF' } },
+};
+
+test('keeps translations as they are while the default language stays', () => {
+  assert.deepStrictEqual(rebaseTranslations(service, service.translations, FIELDS, 'en', 'en'), { translations: service.translations });
+});
+
+test('swaps the plain fields with the new default language', () => {
+  assert.deepStrictEqual(rebaseTranslations(service, service.translations, FIELDS, 'en', 'ru'), {
+    displayName: 'Генератор PDF',
+    description: 'Заполняет PDF',
+    translations: { de: { displayName: 'PDF-Generator' }, en: { displayName: 'PDF generator', description: 'Fills PDFs' } },
+  });
+});
+
+test('fields without a translation keep their text', () => {
+  assert.deepStrictEqual(rebaseTranslations(service, service.translations, FIELDS, 'en', 'de'), {
+    displayName: 'PDF-Generator',
+    translations: { en: { displayName: 'PDF generator' }, ru: service.translations.ru },
+  });
+});
+
+test('texts sent for the old default win over the plain fields', () => {
+  const translations = { ...service.translations, en: { displayName: 'PDF generator', description: 'Fills in PDF forms' } };
+  assert.deepStrictEqual(rebaseTranslations(service, translations, FIELDS, 'en', 'de').translations.en, {
+    displayName: 'PDF generator',
+    description: 'Fills in PDF forms',
+  });
+});
+
+test('switching there and back leaves the texts as they were', () => {
+  const there = { ...service, ...rebaseTranslations(service, service.translations, FIELDS, 'en', 'de') };
+  assert.deepStrictEqual({ ...service, ...rebaseTranslations(there, there.translations, FIELDS, 'de', 'en') }, service);
+});
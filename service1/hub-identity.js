@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+const HUB_ISSUER = 'linart-hub';
+
+function decodeJsonPart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify an X-Hub-Identity token (HS256 JWT signed by the hub) and return the
+ * user it names, or null. Every service shares the hub's secret, so the token
+ * must also have been issued for this service: `aud` has to be `audience`.
+ */
+function verifyHubIdentity(token, { secret, audience }) {
+  if (!token || !secret) {
+    return null;
+  }
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    console.warn('[server] Ignoring X-Hub-Identity with an invalid signature');
+    return null;
+  }
+  let header;
+  let claims;
+  try {
+    header = decodeJsonPart(parts[0]);
+    claims = decodeJsonPart(parts[1]);
+  } catch (err) {
+    console.warn(`[server] Unable to parse X-Hub-Identity: ${err.message}`);
+    return null;
+  }
+  if (!header || header.alg !== 'HS256' || !claims || claims.iss !== HUB_ISSUER || claims.aud !== audience) {
+    console.warn('[server] Ignoring X-Hub-Identity issued for another service');
+    return null;
+  }
+  if (typeof claims.sub !== 'string' || !(Number(claims.exp) * 1000 > Date.now())) {
+    return null;
+  }
+  return {
+    username: claims.sub,
+    role: claims.role || null,
+    roles: Array.isArray(claims.roles) ? claims.roles : [],
+  };
+}
+
+module.exports = { verifyHubIdentity };
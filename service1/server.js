@@ -9,7 +9,9 @@ const express = require('express');
 const multer = require('multer');
 const helmet = require('helmet');
 const cors = require('cors');
+const crypto = require('crypto');
 const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { verifyHubIdentity } = require('./hub-identity');
 
 const app = express();
 app.set('trust proxy', 1);
@@ -26,6 +28,9 @@ const DEFAULT_TEMPLATE = path.join(PUBLIC_DIR, 'form-template.pdf');
 const PORT = parseInt(process.env.PORT, 10) || 3000;
 const HOST_URL_ENV = process.env.HOST_URL;
 const TEMPLATE_PATH_ENV = process.env.TEMPLATE_PATH;
+const HUB_IDENTITY_SECRET = process.env.HUB_IDENTITY_SECRET || '';
+// The name this service has in the hub's services.json; identity tokens carry it in `aud`.
+const HUB_SERVICE_NAME = process.env.HUB_SERVICE_NAME || 'service1';
 const MAX_FILE_SIZE_BYTES = 128 * 1024 * 1024;
 const MAX_TOTAL_UPLOAD_BYTES = 512 * 1024 * 1024;
 
@@ -4949,6 +4954,8 @@ app.use(
 app.use(cors());
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true, limit: '2mb' }));
+app.use(readRequestId);
+app.use(readHubIdentity);
 app.use(express.static(PUBLIC_DIR));
 
 const upload = multer({
@@ -5149,6 +5156,28 @@ function detectSubmitterName(body) {
   return 'Unknown';
 }
 
+/**
+ * Take over the X-Request-Id the hub assigns to every proxied request, so log
+ * lines here can be matched with the hub's access log. Requests that did not
+ * come through the hub get an ID of their own.
+ */
+function readRequestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.requestId = incoming && /^[A-Za-z0-9._:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  return next();
+}
+
+/**
+ * Verify the X-Hub-Identity token (HS256 JWT) that the hub forwards for protected
+ * services and expose its claims as req.hubUser. Requests without a valid token
+ * for this service, or when HUB_IDENTITY_SECRET is not configured, get req.hubUser = null.
+ */
+function readHubIdentity(req, res, next) {
+  req.hubUser = verifyHubIdentity(req.get('x-hub-identity'), { secret: HUB_IDENTITY_SECRET, audience: HUB_SERVICE_NAME });
+  return next();
+}
+
 app.get('/favicon.ico', (req, res) => {
   res.status(204).end();
 });
@@ -5431,6 +5460,7 @@ app.post('/submit', (req, res, next) => {
       templatePath,
       createdAt: new Date().toISOString(),
       filename,
+      submittedBy: req.hubUser,
       requestBody: sanitizedBody,
       fieldsUsed: fieldDescriptors.map((f) => ({ acroName: f.acroName, requestName: f.requestName, type: f.type })),
       files: photoFiles.map((file) => ({
@@ -5480,6 +5510,7 @@ app.post('/submit', (req, res, next) => {
     );
 
     recordSuggestionsFromSubmission(req.body || {});
+    console.log(`[server] [${req.requestId}] Generated ${filename}${req.hubUser ? ` for ${req.hubUser.username}` : ''}`);
 
     const baseHost =
       (HOST_URL_ENV && HOST_URL_ENV.trim()) ||
@@ -5514,7 +5545,7 @@ app.post('/submit', (req, res, next) => {
       employeesBreakSummary: formatBreakStatsSummary(employeeSummary.breakStats),
     });
   } catch (err) {
-    console.error('[server] Failed to process submission', err);
+    console.error(`[server] [${req.requestId}] Failed to process submission`, err);
     const statusCandidate =
       err && Object.prototype.hasOwnProperty.call(err, 'statusCode')
         ? err.statusCode
@@ -5564,7 +5595,7 @@ app.use((err, req, res, next) => {
     return res.status(400).json({ ok: false, error: err.message });
   }
   if (err) {
-    console.error('[server] Unhandled error', err);
+    console.error(`[server] [${req.requestId}] Unhandled error`, err);
     return res.status(500).json({ ok: false, error: err.message || 'Unexpected error' });
   }
   return next();
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyHubIdentity } = require('../hub-identity');
+
+const SECRET = 'shared-secret';
+const OPTIONS = { secret: SECRET, audience: 'service1' };
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// the same shape the hub's signIdentityToken produces
+function sign(claims = {}, header = {}, secret = SECRET) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = `${encode({ alg: 'HS256', typ: 'JWT', ...header })}.${encode({
+    iss: 'linart-hub',
+    aud: 'service1',
+    sub: 'jane',
+    role: 'editor',
+    roles: ['viewer', 'editor'],
+    iat: now,
+    exp: now + 60,
+    ...claims,
+  })}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+test('accepts a token the hub issued for this service', () => {
+  assert.deepStrictEqual(verifyHubIdentity(sign(), OPTIONS), { username: 'jane', role: 'editor', roles: ['viewer', 'editor'] });
+});
+
+test('rejects a token issued for another service', () => {
+  assert.strictEqual(verifyHubIdentity(sign({ aud: 'service2' }), OPTIONS), null);
+  assert.strictEqual(verifyHubIdentity(sign({ aud: undefined }), OPTIONS), null);
+});
+
+test('rejects a token from another issuer', () => {
+  assert.strictEqual(verifyHubIdentity(sign({ iss: 'someone-else' }), OPTIONS), null);
+  assert.strictEqual(verifyHubIdentity(sign({ iss: undefined }), OPTIONS), null);
+});
+
+test('rejects a header that names another algorithm', () => {
+  assert.strictEqual(verifyHubIdentity(sign({}, { alg: 'none' }), OPTIONS), null);
+  assert.strictEqual(verifyHubIdentity(sign({}, { alg: 'HS512' }), OPTIONS), null);
+});
+
+test('rejects expired tokens, bad signatures and malformed input', () => {
+  assert.strictEqual(verifyHubIdentity(sign({ exp: Math.floor(Date.now() / 1000) - 1 }), OPTIONS), null);
+  assert.strictEqual(verifyHubIdentity(sign({}, {}, 'other-secret'), OPTIONS), null);
+  assert.strictEqual(verifyHubIdentity('a.b', OPTIONS), null);
+  assert.strictEqual(verifyHubIdentity(undefined, OPTIONS), null);
+  assert.strictEqual(verifyHubIdentity(sign(), { ...OPTIONS, secret: '' }), null);
+});